@@ -0,0 +1,157 @@
+/**
+ * ============================================================
+ * Mini-React: children — Children 工具集
+ * ============================================================
+ *
+ * 🎯 职责：
+ *   提供读取 / 改写 props.children 的工具函数，
+ *   对应 React.Children.map / forEach / count / only / toArray。
+ *
+ * 典型场景：
+ *   - Tabs 组件给每个 <Tab> 注入 active / onSelect
+ *   - List 组件统计子项数量
+ *   - 某些组件要求必须且只能有一个子元素
+ *
+ * 输入的 children 可以是：
+ *   props.children 数组、单个 VNode、嵌套数组、文本、null。
+ *   统一用 flattenChildren 处理（文本包装为 TEXT_ELEMENT、过滤空值），
+ *   与 createElement 的规则保持一致。
+ *
+ * 🔑 key 前缀：
+ *   map / toArray 的输出会被重新放进某个元素的 children 中，
+ *   如果直接沿用原 key（或没有 key），keyed reconciler 可能会把
+ *   不同来源的节点误判为同一个。所以输出的每个节点都会带上
+ *   由「原位置」推导出的 key：
+ *
+ *     原 key 为 'a'       → '.$a'
+ *     没有 key，位置为 2   → '.2'
+ *     回调返回多个节点时   → '.$a/.0'、'.$a/.1' ...
+ *
+ *   节点来自嵌套数组时，前面加上它所在数组的路径（见 flattenChildren 的 key 作用域），
+ *   两个都用 key 0 的 map 列表不会得到相同的 key：
+ *
+ *     第 0 个数组中 key 为 0 → '.0:$0'
+ *     第 1 个数组中 key 为 0 → '.1:$0'
+ *
+ * ============================================================
+ */
+
+import { flattenChildren, getChildKeyScope, isValidElement, cloneElement } from './createElement.js'
+
+/**
+ * 将任意形式的 children 规范化为扁平的 VNode 数组
+ *
+ * 数组直接拍平（不再包一层），嵌套数组的路径从 children 自身算起。
+ */
+function toFlatArray(children) {
+  if (children == null) return []
+  return flattenChildren(Array.isArray(children) ? children : [children])
+}
+
+/**
+ * 计算节点在兄弟中的 key 片段
+ *
+ * @param {Object} child   - VNode
+ * @param {number} index   - 在兄弟中的位置
+ * @param {string} [scope] - 所在数组的路径（如 '.1:'），直接传入的节点为空字符串
+ * @returns {string}
+ */
+function getChildKey(child, index, scope = '') {
+  const key = child.key
+  if (scope === '') return key != null ? `.$${key}` : `.${index}`
+  return key != null ? `${scope}$${key}` : `${scope}${index}`
+}
+
+/**
+ * 返回带有新 key 的 VNode（key 相同时直接复用原对象）
+ */
+function withKey(vnode, key) {
+  return vnode.key === key ? vnode : cloneElement(vnode, { key })
+}
+
+/**
+ * 遍历 children，用回调的返回值构建新的 children 数组
+ *
+ * @param {*}        children
+ * @param {Function} fn       - (child, index) => any
+ * @param {*}        [thisArg]
+ * @returns {Array|null|undefined} children 为 null / undefined 时原样返回
+ */
+function map(children, fn, thisArg) {
+  if (children == null) return children
+
+  const result = []
+  const flat = toFlatArray(children)
+  flat.forEach((child, index) => {
+    const prefix = getChildKey(child, index, getChildKeyScope(flat, index))
+    const mapped = toFlatArray(fn.call(thisArg, child, index))
+
+    mapped.forEach((mappedChild, mappedIndex) => {
+      // 回调原样返回（或只返回一个不带新 key 的节点）时，直接使用原位置的 key
+      const keepsIdentity =
+        mapped.length === 1 &&
+        (mappedChild.key == null || mappedChild.key === child.key)
+      const key = keepsIdentity ? prefix : `${prefix}/${getChildKey(mappedChild, mappedIndex)}`
+      result.push(withKey(mappedChild, key))
+    })
+  })
+  return result
+}
+
+/**
+ * 遍历 children（不收集返回值）
+ *
+ * @param {*}        children
+ * @param {Function} fn       - (child, index) => void
+ * @param {*}        [thisArg]
+ */
+function forEach(children, fn, thisArg) {
+  toFlatArray(children).forEach((child, index) => {
+    fn.call(thisArg, child, index)
+  })
+}
+
+/**
+ * 统计 children 中的节点数量（拍平、过滤空值之后）
+ *
+ * @param {*} children
+ * @returns {number}
+ */
+function count(children) {
+  return toFlatArray(children).length
+}
+
+/**
+ * 断言 children 有且只有一个 VNode，并返回它
+ *
+ * createElement 总是把 children 存成数组，
+ * 所以只有一个元素的数组也视为「单个子节点」。
+ *
+ * @param {*} children
+ * @returns {Object} 唯一的 VNode
+ */
+function only(children) {
+  const list = Array.isArray(children) ? children : [children]
+  if (list.length !== 1 || !isValidElement(list[0])) {
+    throw new Error('Children.only expected to receive a single MiniReact element child.')
+  }
+  return list[0]
+}
+
+/**
+ * 将 children 转为扁平数组，并为每个节点加上基于位置的 key
+ *
+ * @param {*} children
+ * @returns {Array}
+ */
+function toArray(children) {
+  return map(children, child => child) ?? []
+}
+
+export const Children = {
+  map,
+  forEach,
+  count,
+  only,
+  toArray,
+}
@@ -27,9 +27,15 @@
  *   函数组件不创建自己的 DOM 节点，
  *   它的 __dom 指向子 VNode 树的根 DOM。
  *
+ *   组件可以返回 null、文本或数组，调用后统一规范化为单个 VNode
+ *   （见 normalizeRenderResult），reconciler 只需要处理 VNode。
+ *
  * ============================================================
  */
 
+import { Fragment, Portal, createElement, createTextElement, defineReservedPropWarning } from './createElement.js'
+import { __DEV__, warning, getComponentName, getComponentStack } from './dev.js'
+
 /**
  * 判断一个 VNode 的类型是否为函数式组件
  *
@@ -60,5 +66,275 @@ export function getComponentDom(vnode) {
   if (vnode.__dom) return vnode.__dom
   // 如果是组件，沿着 __childVNode 继续找
   if (vnode.__childVNode) return getComponentDom(vnode.__childVNode)
+  // 如果是 Fragment，返回第一个有 DOM 的子节点
+  if (isFragment(vnode)) {
+    for (const child of getRenderedChildren(vnode)) {
+      const dom = getComponentDom(child)
+      if (dom) return dom
+    }
+  }
   return null
 }
+
+/**
+ * 判断一个 VNode 是否为 Fragment
+ *
+ * @param {Object} vnode - 虚拟 DOM 节点
+ * @returns {boolean}
+ */
+export function isFragment(vnode) {
+  return vnode != null && vnode.type === Fragment
+}
+
+/**
+ * 判断一个 VNode 是否为 Portal（createPortal 的返回值）
+ *
+ * @param {Object} vnode - 虚拟 DOM 节点
+ * @returns {boolean}
+ */
+export function isPortal(vnode) {
+  return vnode != null && vnode.type === Portal
+}
+
+/**
+ * 获取 VNode 在父 DOM 下占据的所有顶层 DOM 节点（按文档顺序）
+ *
+ * 原生元素 / 文本只有一个节点；而 Fragment 没有自己的 DOM，
+ * 会展开为它所有子节点的 DOM —— 删除、替换、重排时都需要整组处理。
+ *
+ * 示例：
+ *   <div/>                      → [div]
+ *   <><li/><li/></>             → [li, li]
+ *   <App/>（返回 <><a/><b/></>）→ [a, b]
+ *   createPortal(<Modal/>, body) → []
+ *
+ * @param {Object} vnode - 已挂载的 VNode
+ * @returns {Array<HTMLElement|Text>}
+ */
+export function getDomNodes(vnode) {
+  if (!vnode) return []
+  // Portal 的子节点在另一个容器中，不占据父 DOM 下的任何位置
+  if (isPortal(vnode)) return []
+  if (isComponent(vnode)) return getDomNodes(vnode.__childVNode)
+  if (isFragment(vnode)) return getRenderedChildren(vnode).flatMap(getDomNodes)
+  return vnode.__dom ? [vnode.__dom] : []
+}
+
+/**
+ * 获取 VNode 实际渲染出的子节点列表
+ *
+ * 挂载后 reconciler 会把实际使用的子 VNode 记在 __children 上 ——
+ * 它和 props.children 的区别在于：被复用的元素对象会被替换成副本
+ * （见 reconciler.js 的 claimVNode），簿记字段只存在于这份列表里。
+ * 尚未挂载的 VNode 退回到 props.children。
+ *
+ * @param {Object} vnode - 原生元素 / Fragment VNode
+ * @returns {Array}
+ */
+export function getRenderedChildren(vnode) {
+  return vnode.__children ?? vnode.props?.children
+}
+
+// ─── 当前组件（owner）追踪 ────────────────────────────────────
+
+/**
+ * 正在渲染（包括协调其子树）的最近一层组件 VNode
+ *
+ * 📌 用途：
+ *   - 新渲染的组件通过它记录 __parentComponent，形成组件链
+ *   - 开发警告（如 key 警告）用它生成 "in List > in App" 组件栈
+ */
+let currentOwner = null
+
+/**
+ * 获取当前 owner 组件
+ *
+ * @returns {Object|null}
+ */
+export function getCurrentOwner() {
+  return currentOwner
+}
+
+/**
+ * 以 component 为 owner 执行 fn（调用组件 + 协调它的子树）
+ *
+ * 执行结束（包括抛错）后恢复为外层 owner。
+ * fn 抛错时，在错误对象上附加组件栈（见 annotateComponentStack）。
+ *
+ * @param {Object}   component - 组件 VNode
+ * @param {Function} fn
+ * @returns {*} fn 的返回值
+ */
+export function runWithOwner(component, fn) {
+  const prevOwner = currentOwner
+  currentOwner = component
+  try {
+    return fn()
+  } catch (error) {
+    annotateComponentStack(error, component)
+    throw error
+  } finally {
+    currentOwner = prevOwner
+  }
+}
+
+/**
+ * 在渲染错误上记录组件栈：error.componentStack = 'in Counter > in List > in App'
+ *
+ * 📌 只有最内层的组件会写入 —— 它的 __parentComponent 链已经包含了所有祖先，
+ *    错误继续向外层组件冒泡时不再覆盖。
+ *    错误对象本身原样保留（message / stack / 类型都不变）。
+ *
+ * @param {*}      error     - 被抛出的值（非对象无法附加属性，直接忽略）
+ * @param {Object} component - 抛错时所在的组件 VNode
+ */
+function annotateComponentStack(error, component) {
+  if (error === null || typeof error !== 'object') return
+  if (error.componentStack !== undefined || !Object.isExtensible(error)) return
+  error.componentStack = getComponentStack(component)
+}
+
+// ─── 组件调用（defaultProps / propTypes） ─────────────────────
+
+/**
+ * 合并组件的 defaultProps
+ *
+ * 与 React 一致：只有值为 undefined 的 prop 才会使用默认值，
+ * 显式传入的 null 会被保留。
+ * 返回新对象，不修改 vnode.props。
+ *
+ * 展开运算不会复制 props.key / props.ref 上的警告 getter（不可枚举），
+ * 开发模式下传入 vnode 时在新对象上重新定义，组件误读时照常警告。
+ *
+ * @param {Function} type    - 组件函数
+ * @param {Object}   props   - 传入的 props
+ * @param {Object}   [vnode] - props 所属的 VNode（提供 key / ref）
+ * @returns {Object} 合并后的 props
+ *
+ * 示例：
+ *   Button.defaultProps = { size: 'md' }
+ *   resolveDefaultProps(Button, { size: undefined }) → { size: 'md' }
+ *   resolveDefaultProps(Button, { size: null })      → { size: null }
+ */
+export function resolveDefaultProps(type, props, vnode = null) {
+  const defaultProps = type.defaultProps
+  if (!defaultProps) return props
+
+  const resolved = { ...props }
+  if (__DEV__ && vnode) {
+    defineReservedPropWarning(resolved, 'key', vnode.key, type)
+    defineReservedPropWarning(resolved, 'ref', vnode.ref, type)
+  }
+  for (const name in defaultProps) {
+    if (resolved[name] === undefined) {
+      resolved[name] = defaultProps[name]
+    }
+  }
+  return resolved
+}
+
+/**
+ * 已经输出过的 prop 校验失败信息
+ * 同一条信息只警告一次，避免每次重渲染都刷屏
+ */
+const loggedPropTypeFailures = new Set()
+
+/**
+ * 按 Component.propTypes 校验 props（仅开发模式）
+ *
+ * propTypes 是一个 { propName: validator } 映射，validator 的签名：
+ *
+ *   (props, propName, componentName) => Error | null
+ *
+ * 返回 Error（或抛出异常）即视为校验失败。
+ *
+ * 示例：
+ *   Counter.propTypes = {
+ *     count: (props, name, component) =>
+ *       typeof props[name] === 'number'
+ *         ? null
+ *         : new Error(`\`${name}\` of \`${component}\` must be a number.`),
+ *   }
+ *
+ * @param {Function} type  - 组件函数
+ * @param {Object}   props - 合并 defaultProps 之后的 props
+ * @param {Object}   [component] - 组件 VNode，用于在警告中附上组件栈
+ */
+export function checkPropTypes(type, props, component = null) {
+  const propTypes = type.propTypes
+  if (!propTypes) return
+
+  const componentName = getComponentName(type)
+  for (const propName in propTypes) {
+    const validator = propTypes[propName]
+    let error
+    if (typeof validator !== 'function') {
+      error = new Error(
+        `${componentName}: prop type \`${propName}\` is invalid; it must be a function, ` +
+        `usually from a validator helper, but received \`${typeof validator}\`.`
+      )
+    } else {
+      try {
+        error = validator(props, propName, componentName)
+      } catch (thrown) {
+        error = thrown
+      }
+    }
+    if (error == null) continue
+
+    const message = `Failed prop type: ${error instanceof Error ? error.message : String(error)}`
+    if (!loggedPropTypeFailures.has(message)) {
+      loggedPropTypeFailures.add(message)
+      warning(message, component ?? { type })
+    }
+  }
+}
+
+/**
+ * 调用函数组件，返回它渲染出的子 VNode
+ *
+ * reconcile / mountVNode / renderComponent 都通过它调用组件，
+ * 保证三条路径对 defaultProps、propTypes、返回值规范化的处理一致。
+ * ⚠️ 调用方负责设置 Hook 上下文（见 hooks.js 的 renderWithHooks）。
+ *
+ * @param {Object} vnode - 函数组件 VNode
+ * @returns {Object} 子 VNode（已规范化）
+ */
+export function callComponent(vnode) {
+  const props = resolveDefaultProps(vnode.type, vnode.props, vnode)
+  if (__DEV__) {
+    checkPropTypes(vnode.type, props, vnode)
+  }
+  return normalizeRenderResult(vnode.type(props))
+}
+
+/**
+ * 将组件的返回值规范化为单个 VNode
+ *
+ *   null / undefined / boolean → 空 Fragment（什么都不渲染）
+ *   string / number            → 文本节点
+ *   数组                       → Fragment（多个兄弟节点，缺少 key 时照常警告）
+ *   VNode                      → 原样返回
+ *
+ * 📌 「什么都不渲染」为什么用空 Fragment 而不是 null？
+ *   这样组件的 __childVNode 始终是一个 VNode：
+ *   在 null / 文本 / 数组 / 元素之间切换，只是子节点的类型变化，
+ *   组件自身（连同 Hook 状态）保持不变。
+ *
+ * 其他值原样返回，由 reconciler 的 assertValidChild 给出错误信息。
+ *
+ * @param {*} result - 组件函数的返回值
+ * @returns {*}
+ */
+export function normalizeRenderResult(result) {
+  if (result == null || typeof result === 'boolean') {
+    return createElement(Fragment, null)
+  }
+  if (typeof result === 'string' || typeof result === 'number') {
+    return createTextElement(result)
+  }
+  if (Array.isArray(result)) {
+    return createElement(Fragment, null, result)
+  }
+  return result
+}
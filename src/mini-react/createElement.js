@@ -19,12 +19,51 @@
  * 2. children 应该放到 props.children 中
  * 3. 文本/数字类型的 children 需要包装为 TEXT_ELEMENT
  * 4. 过滤掉 null、undefined、boolean 类型的 children
+ * 5. 嵌套的数组 / 可迭代对象（Set、Map 的值、generator）递归拍平
+ * 6. 每个 VNode 都带有 $$typeof 标记，reconciler 只渲染带标记的对象
+ * 7. key 和 ref 提升为 VNode 顶层字段，不会出现在 props 中
+ * 8. __source（源码位置，见 jsx-dev-runtime.js）同样不属于 props，开发模式下记录到 VNode 上
  * ============================================================
  */
 
+import { __DEV__, warning, getComponentName } from './dev.js'
+import { getCurrentOwner } from './component.js'
+
 // 文本节点的特殊类型标识
 export const TEXT_ELEMENT = 'TEXT_ELEMENT'
 
+/**
+ * Fragment 的类型标识
+ *
+ * <>...</> 会被转译为 createElement(Fragment, null, ...children)。
+ * Fragment 自身不产生 DOM 节点，它的 children 作为一组兄弟节点
+ * 直接挂到父 DOM 下（没有包装元素）。
+ *
+ * 用 Symbol 而不是字符串，避免和真实标签名（如 'fragment'）冲突。
+ */
+export const Fragment = Symbol.for('mini-react.fragment')
+
+/**
+ * Portal 的类型标识（见 portal.js 的 createPortal）
+ *
+ * Portal 的子节点渲染到另一个 DOM 容器中，
+ * 但在组件树里仍然位于创建它的位置。
+ */
+export const Portal = Symbol.for('mini-react.portal')
+
+/**
+ * VNode 的品牌标记（$$typeof）
+ *
+ * 📌 为什么需要它？
+ *   reconciler 如果只看「有没有 type 和 props」，那么服务端返回的
+ *   JSON（比如用户可控的 { type: 'img', props: { src: 'x', onError: ... } }）
+ *   一旦被当作 child 渲染，就会生成真实 DOM —— 这是一个 XSS 入口。
+ *
+ *   Symbol 无法被 JSON 序列化 / 反序列化，
+ *   所以只有本库的 createElement 创建的对象才会带上这个标记。
+ */
+export const MINI_REACT_ELEMENT = Symbol.for('mini-react.element')
+
 /**
  * 创建一个文本类型的 VNode
  *
@@ -32,20 +71,125 @@ export const TEXT_ELEMENT = 'TEXT_ELEMENT'
  * 我们需要统一用 VNode 结构来表示它，方便后续的 Diff 和渲染。
  *
  * @param {string|number} text - 文本内容
- * @returns {{ type: string, props: { nodeValue: string|number, children: [] }}}
+ * @returns {{ $$typeof: symbol, type: string, key: null, ref: null, props: { nodeValue: string|number, children: [] }}}
  *
  * 示例：
  *   createTextElement('Hello')
- *   → { type: 'TEXT_ELEMENT', props: { nodeValue: 'Hello', children: [] } }
+ *   → { type: 'TEXT_ELEMENT', key: null, ref: null, props: { nodeValue: 'Hello', children: [] } }
  */
 export function createTextElement(text) {
-  return {
+  const vnode = {
+    $$typeof: MINI_REACT_ELEMENT,
     type: TEXT_ELEMENT,
+    key: null,
+    ref: null,
     props: {
       nodeValue: text,
       children: []
     }
   }
+  if (__DEV__) {
+    freezeProps(vnode.props)
+  }
+  return vnode
+}
+
+/**
+ * 递归拍平 children，并完成文本包装与空值过滤
+ *
+ * {items.map(...)} 会把一个数组作为单个 child 传进来，
+ * 如果不拍平，reconciler 会把这个数组当成 VNode 处理。
+ *
+ * 规则（每一层都适用）：
+ * - null、undefined、boolean → 丢弃
+ * - string、number          → createTextElement 包装
+ * - 数组 / 可迭代对象         → 递归展开（Map 取它的值，而不是 [key, value]）
+ * - 其他（VNode）            → 原样保留（包括它的 key）
+ *
+ * 示例：
+ *   flattenChildren(['a', [b, [c, null]], new Set([d])])
+ *   → [Text('a'), b, c, d]
+ *
+ * 🔑 key 的作用域：
+ *   拍平之后，每个数组里的 key 仍然只需要在「自己的数组」中唯一：
+ *
+ *     <ul>{a.map((x, i) => <li key={i} />)}{b.map((x, i) => <li key={i} />)}</ul>
+ *
+ *   两个列表都有 key 0，这是合法的。所以拍平时记下每个节点所在数组的位置路径
+ *   （与 Children.toArray 的前缀一致：第 0 个参数中的数组是 '.0:'，再嵌套一层是 '.0:.1:'），
+ *   reconciler 用「路径 + key」识别节点（见 getChildKeyScope）。
+ *   VNode 自己的 key 保持不变；直接传入的参数路径为空字符串。
+ *
+ * 🧩 槽位（slot）：
+ *   丢弃的 null / boolean 在源码中也占着一个位置：
+ *
+ *     <div>{open && <Panel />}<footer /></div>
+ *
+ *   open 从 false 变成 true 时，拍平后 <footer> 从第 0 个变成第 1 个。
+ *   所以同时记下每个节点在源码中的位置（同样带上数组路径，如 '1'、'.2:0'），
+ *   无 key 的 Diff 按槽位对齐，<footer> 仍然和旧的 <footer> 比较（见 getChildSlot）。
+ *
+ * @param {Iterable} children - 原始 children
+ * @returns {Array} 拍平后的 VNode 数组（带有不可枚举的 __keyScopes / __slots）
+ */
+export function flattenChildren(children) {
+  const result = []
+  const keyScopes = []
+  const slots = []
+  collectChildren(children, '', result, keyScopes, slots)
+  if (keyScopes.some(scope => scope !== '')) {
+    Object.defineProperty(result, '__keyScopes', { value: keyScopes })
+  }
+  if (slots.some((slot, i) => slot !== String(i))) {
+    Object.defineProperty(result, '__slots', { value: slots })
+  }
+  return result
+}
+
+function collectChildren(children, scope, result, keyScopes, slots) {
+  let index = 0
+  for (const child of children) {
+    const position = index++
+    if (child === null || child === undefined || child === false || child === true) {
+      continue
+    }
+    if (typeof child === 'string' || typeof child === 'number') {
+      result.push(createTextElement(child))
+      keyScopes.push(scope)
+      slots.push(scope + position)
+    } else if (child instanceof Map) {
+      collectChildren(child.values(), `${scope}.${position}:`, result, keyScopes, slots)
+    } else if (typeof child[Symbol.iterator] === 'function') {
+      collectChildren(child, `${scope}.${position}:`, result, keyScopes, slots)
+    } else {
+      result.push(child)
+      // 已经拍平过的 children（如 <div>{props.children}</div>）沿用它们自己的路径
+      keyScopes.push(scope + getChildKeyScope(children, position))
+      slots.push(scope + getChildSlot(children, position))
+    }
+  }
+}
+
+/**
+ * 获取拍平后的 children 中第 index 个节点的 key 作用域（见 flattenChildren）
+ *
+ * @param {Array}  children - props.children
+ * @param {number} index
+ * @returns {string} 直接传入的子节点为空字符串
+ */
+export function getChildKeyScope(children, index) {
+  return children.__keyScopes?.[index] ?? ''
+}
+
+/**
+ * 获取拍平后的 children 中第 index 个节点在源码中的槽位（见 flattenChildren）
+ *
+ * @param {Array}  children - props.children
+ * @param {number} index
+ * @returns {string} 前面没有被丢弃的值、也不在嵌套数组中时就是 String(index)
+ */
+export function getChildSlot(children, index) {
+  return children.__slots?.[index] ?? String(index)
 }
 
 /**
@@ -54,7 +198,11 @@ export function createTextElement(text) {
  * @param {string|Function} type - 元素类型（'div'、'span'...）或组件函数
  * @param {Object|null} props - 属性对象
  * @param  {...any} children - 子节点（可以是 VNode、字符串、数字等）
- * @returns {{ type: string|Function, props: Object }}
+ * @returns {{ $$typeof: symbol, type: string|Function, key: *, ref: *, props: Object }}
+ *
+ * key / ref 是给框架用的，不属于组件的 props：
+ *   createElement('li', { key: 'a', ref: r, id: 'x' })
+ *   → { type: 'li', key: 'a', ref: r, props: { id: 'x', children: [] } }
  *
  * 示例：
  *   createElement('div', { id: 'app' }, 'Hello', createElement('span', null, 'World'))
@@ -74,25 +222,224 @@ export function createTextElement(text) {
 export function createElement(type, props, ...children) {
   // TODO: 实现这个函数
   // 步骤：
-  // 1. 处理 children：
+  // 1. 处理 children（flattenChildren）：
   //    - 过滤掉 null、undefined、false、true（React 也是这么做的）
   //    - 把 string 和 number 类型的 child 包装为 createTextElement(child)
+  //    - 嵌套数组 / 可迭代对象递归拍平
   //    - 其他类型（VNode 对象）保持原样
-  // 2. 返回 VNode 对象：{ type, props: { ...props, children: 处理后的children } }
+  // 2. 返回 VNode 对象：{ $$typeof, type, key, ref, props: { ...props, children: 处理后的children } }
   //    - 注意：props 可能是 null，要处理这种情况 
-  return {
+  //    - key / ref 从 props 中取出，放到 VNode 顶层
+  const vnode = createVNode(type, props, flattenChildren(children))
+  if (__DEV__) {
+    validateChildKeys(children, type, vnode.__source)
+  }
+  return vnode
+}
+
+/**
+ * 用已经拍平的 children 创建 VNode（createElement 与 cloneElement 共用）
+ *
+ * @param {*}           type
+ * @param {Object|null} props    - 含 key / ref / __source 的原始 props
+ * @param {Array}       children - flattenChildren 的结果
+ * @returns {Object} VNode
+ */
+function createVNode(type, props, children) {
+  const { key = null, ref = null, __source, ...restProps } = props ?? {}
+  const vnode = {
+    $$typeof: MINI_REACT_ELEMENT,
     type,
+    key,
+    ref,
     props: {
-      ...props,
-      children: children.map(child => {
-        if(child === null || child === undefined || child === false || child === true) {
-          return null
-        }
-        if(typeof child === 'string' || typeof child === 'number') {
-          return createTextElement(child)
-        }
-        return child
-      }).filter(child => child !== null)
+      ...restProps,
+      children
+    }
+  }
+
+  if (__DEV__) {
+    if (__source) {
+      vnode.__source = __source
+    }
+    defineReservedPropWarning(vnode.props, 'key', key, type)
+    defineReservedPropWarning(vnode.props, 'ref', ref, type)
+    freezeProps(vnode.props)
+  }
+
+  return vnode
+}
+
+/**
+ * 开发模式：冻结 props 与 children 数组
+ *
+ * props 是只读的 —— 组件里写 props.x = 1 不会触发更新，
+ * 还可能被同一个元素的其他使用者看到。冻结后（ESM 默认严格模式）
+ * 这类写入会直接抛出 TypeError，问题在第一时间暴露。
+ * 生产构建中整段被移除，不产生额外开销。
+ *
+ * @param {Object} props
+ */
+function freezeProps(props) {
+  Object.freeze(props.children)
+  Object.freeze(props)
+}
+
+// 已经警告过缺少 key 的 "owner|父元素" 组合，同一处列表只警告一次
+const missingKeyWarningShown = new Set()
+
+// 作为独立参数传入过 createElement 的元素（位置固定，已通过 key 检查）
+const validatedElements = new WeakSet()
+
+/**
+ * 开发模式：检查作为 child 传入的列表（数组 / 可迭代对象）中的元素是否带 key
+ *
+ * 只检查「嵌套」的列表，例如 {items.map(...)} 生成的数组；
+ * 直接写在 JSX 里的多个静态子节点位置固定，不需要 key。
+ *
+ *   createElement('ul', null, items.map(i => createElement('li')))  ← 警告
+ *   createElement('ul', null, createElement('li'), createElement('li')) ← 不警告
+ *
+ * @param {Array}  children - createElement 收到的 children 参数
+ * @param {*}      type     - 父元素的 type，用于警告信息
+ * @param {Object} [source] - 父元素的源码位置（列表项自己没有时使用）
+ */
+function validateChildKeys(children, type, source) {
+  for (const child of children) {
+    if (isValidElement(child)) {
+      // 直接传入的元素位置固定，之后即使被放进数组（如 <main>{children}</main>）也不需要 key
+      validatedElements.add(child)
+      continue
+    }
+    if (child == null || typeof child !== 'object') continue
+    if (typeof child[Symbol.iterator] !== 'function') continue
+
+    // generator 等一次性迭代器（迭代器就是它自身）遍历后会被耗尽，跳过检查
+    if (child[Symbol.iterator]() === child) continue
+
+    const list = child instanceof Map ? child.values() : child
+
+    for (const item of list) {
+      if (
+        isValidElement(item) &&
+        item.key == null &&
+        item.type !== TEXT_ELEMENT &&
+        !validatedElements.has(item)
+      ) {
+        warnMissingKey(type, item.__source ?? source)
+        return
+      }
     }
   }
 }
+
+function warnMissingKey(type, source) {
+  const owner = getCurrentOwner()
+  const ownerName = owner ? getComponentName(owner.type) : null
+  const id = `${ownerName}|${getComponentName(type)}`
+  if (missingKeyWarningShown.has(id)) return
+  missingKeyWarningShown.add(id)
+
+  const hint = ownerName
+    ? ` Check the render method of \`${ownerName}\`.`
+    : ` Check the children of <${getComponentName(type)}>.`
+  warning(`Each child in a list should have a unique "key" prop.${hint}`, owner, source)
+}
+
+// 每种保留 prop 只警告一次，避免刷屏
+const reservedPropWarningShown = { key: false, ref: false }
+
+/**
+ * 开发模式：组件读取 props.key / props.ref 时给出警告
+ *
+ * key / ref 已经被提升到 VNode 顶层，props 上读到的永远是 undefined。
+ * 定义一个不可枚举的 getter，既不影响 props 的遍历 / 展开 / 浅比较，
+ * 又能在组件误读时提示开发者。
+ *
+ * @param {Object} props    - VNode 的 props
+ * @param {string} propName - 'key' 或 'ref'
+ * @param {*}      value    - 创建元素时传入的值（为空时不需要警告）
+ * @param {*}      type     - VNode 的 type，用于警告信息
+ */
+export function defineReservedPropWarning(props, propName, value, type) {
+  if (value == null) return
+  Object.defineProperty(props, propName, {
+    get() {
+      if (!reservedPropWarningShown[propName]) {
+        reservedPropWarningShown[propName] = true
+        warning(
+          `${getComponentName(type)}: \`${propName}\` is not a prop. Trying to access it will result ` +
+          'in `undefined` being returned. If you need to access the same value within the child ' +
+          'component, you should pass it as a different prop.'
+        )
+      }
+      return undefined
+    },
+    configurable: true,
+  })
+}
+
+/**
+ * 判断一个值是否为 createElement 创建的 VNode
+ *
+ * 只认 $$typeof 标记，长得像 VNode 的普通对象（如 JSON）不算。
+ *
+ * @param {*} object
+ * @returns {boolean}
+ *
+ * 示例：
+ *   isValidElement(createElement('div'))                 → true
+ *   isValidElement({ type: 'div', props: {} })           → false
+ *   isValidElement('text')                               → false
+ *   isValidElement(null)                                 → false
+ */
+export function isValidElement(object) {
+  return (
+    typeof object === 'object' &&
+    object !== null &&
+    object.$$typeof === MINI_REACT_ELEMENT
+  )
+}
+
+/**
+ * 以已有 VNode 为模板创建一个新的 VNode
+ *
+ * - 新 props 浅合并到原 props 之上
+ * - key / ref 沿用原 VNode 的值，除非新 props 中显式传入（传入 undefined 视为没有传入）
+ * - 传入了 children 参数时替换原 children，否则沿用原 children
+ * - 原 VNode 不会被修改
+ *
+ * @param {Object} vnode - 作为模板的 VNode
+ * @param {Object|null} [props] - 需要覆盖的属性
+ * @param  {...any} children - 新的子节点（可选）
+ * @returns {Object} 新的 VNode
+ *
+ * 示例：
+ *   const tab = createElement(Tab, { title: 'A' }, 'content')
+ *   cloneElement(tab, { active: true })
+ *   → { type: Tab, props: { title: 'A', active: true, children: [Text('content')] } }
+ */
+export function cloneElement(vnode, props, ...children) {
+  if (!isValidElement(vnode)) {
+    throw new Error(`cloneElement(...): The argument must be a MiniReact element, but you passed ${vnode}.`)
+  }
+
+  const { children: ownChildren, ...ownProps } = vnode.props
+  const { children: propsChildren = ownChildren, key, ref, ...overrideProps } = props ?? {}
+  const nextProps = {
+    ...ownProps,
+    ...overrideProps,
+    key: key !== undefined ? key : vnode.key,
+    ref: ref !== undefined ? ref : vnode.ref,
+  }
+
+  if (children.length > 0) {
+    return createElement(vnode.type, nextProps, ...children)
+  }
+  // 沿用原 children：已经拍平、校验过 key，直接复用（连同 key 的作用域）
+  if (propsChildren === ownChildren) {
+    return createVNode(vnode.type, nextProps, ownChildren)
+  }
+  // 数组作为单个参数传入（不展开）：flattenChildren 才能沿用每个节点原来的 key 作用域
+  return createElement(vnode.type, nextProps, propsChildren)
+}
@@ -0,0 +1,94 @@
+/**
+ * ============================================================
+ * Mini-React: dev — 开发模式开关与警告输出
+ * ============================================================
+ *
+ * 🎯 职责：
+ *   集中管理「只在开发模式下生效」的逻辑。
+ *
+ *   __DEV__ 来自 Vite 的 import.meta.env.DEV：
+ *   - pnpm dev / pnpm test → true
+ *   - pnpm build           → false（常量被替换为字面量，
+ *                            if (__DEV__) { ... } 整块会被 tree-shaking 删除）
+ *
+ *   所以开发期的校验、警告都应写成：
+ *
+ *     if (__DEV__) {
+ *       warning('...')
+ *     }
+ *
+ * ============================================================
+ */
+
+export const __DEV__ = import.meta.env.DEV
+
+/**
+ * 输出一条开发警告（与 React 一致，使用 console.error 并带 "Warning:" 前缀）
+ *
+ * 传入 component 时，会在信息末尾附上组件链，方便定位；
+ * 传入 source（jsxDEV 记录的源码位置）时，在信息后面附上出问题的那一行 JSX：
+ *
+ *   Warning: Each child in a list should have a unique "key" prop. ... (at List.jsx:8)
+ *       in List (at App.jsx:12) > in App
+ *
+ * @param {string} message
+ * @param {Object|null} [component] - 发出警告时所在的组件 VNode
+ * @param {{ fileName: string, lineNumber: number }} [source] - 相关元素的源码位置
+ */
+export function warning(message, component = null, source = null) {
+  const stack = getComponentStack(component)
+  const text = `Warning: ${message}${formatSource(source)}`
+  console.error(stack ? `${text}\n    ${stack}` : text)
+}
+
+/**
+ * 将源码位置格式化为 " (at App.jsx:12)"，没有位置时返回空字符串
+ *
+ * @param {{ fileName: string, lineNumber: number }|null|undefined} source
+ * @returns {string}
+ */
+export function formatSource(source) {
+  if (!source) return ''
+  const fileName = source.fileName.replace(/^.*[\\/]/, '')
+  return ` (at ${fileName}:${source.lineNumber})`
+}
+
+/**
+ * 沿 __parentComponent 链生成组件栈描述
+ *
+ * reconciler 在渲染组件时会记录它的父组件（__parentComponent），
+ * 这里从当前组件一路向上，拼成 "in Counter > in List > in App"。
+ * 元素带有源码位置（__source，见 jsx-dev-runtime.js）时附在对应的一项后面：
+ * "in Counter (at List.jsx:8) > in List > in App"。
+ *
+ * @param {Object|null} component - 组件 VNode
+ * @returns {string} 没有组件时返回空字符串
+ */
+export function getComponentStack(component) {
+  const frames = []
+  for (let node = component; node; node = node.__parentComponent) {
+    frames.push(`in ${getComponentName(node.type)}${formatSource(node.__source)}`)
+  }
+  return frames.join(' > ')
+}
+
+/**
+ * 获取组件 / 元素类型的可读名称，用于警告与错误信息
+ *
+ * @param {string|Function|symbol} type - VNode 的 type
+ * @returns {string}
+ *
+ * 示例：
+ *   getComponentName('div')           → 'div'
+ *   getComponentName(function App(){}) → 'App'
+ *   getComponentName(() => null)      → 'Anonymous'
+ */
+export function getComponentName(type) {
+  if (typeof type === 'function') {
+    return type.displayName || type.name || 'Anonymous'
+  }
+  if (typeof type === 'symbol') {
+    return type.description ?? String(type)
+  }
+  return String(type)
+}
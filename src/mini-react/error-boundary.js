@@ -0,0 +1,140 @@
+/**
+ * ============================================================
+ * Mini-React: error-boundary — ErrorBoundary
+ * ============================================================
+ *
+ * 🎯 职责：
+ *   子树中某个组件抛错时，只把这棵子树换成 fallback，而不是让整个 root 崩溃。
+ *
+ *     <ErrorBoundary fallback={(error, reset) => (
+ *       <p>出错了：{error.message} <button onClick={reset}>重试</button></p>
+ *     )}>
+ *       <Profile />
+ *     </ErrorBoundary>
+ *
+ * 📌 能捕获哪些错误：
+ *
+ *   ┌────────────────────────────┬─────────────────────────────────────┐
+ *   │ 错误发生在                 │ 处理方式                            │
+ *   ├────────────────────────────┼─────────────────────────────────────┤
+ *   │ 渲染后代组件（Render）     │ 丢弃失败子树已收集的 mutation，     │
+ *   │                            │ 同一次渲染中改为协调 fallback       │
+ *   │ useEffect 的 effect        │ 记下错误，调度边界重渲染            │
+ *   │ effect 的 cleanup（含卸载）│ 同上                                │
+ *   └────────────────────────────┴─────────────────────────────────────┘
+ *
+ *   渲染期的捕获在 reconciler.js 的 renderComponentChild 中完成，
+ *   setState 重渲染时抛出的错误在 hooks.js 的 renderComponent 中交给这里。
+ *
+ * 📌 错误会交给「最近的、仍然挂载的」外层边界：
+ *   - 边界不捕获自己 fallback 中的错误 —— fallback 中的组件归属于边界的外层
+ *   - 没有边界时错误原样抛出（与之前的行为一致）
+ *
+ * 💡 简化版 vs 真实 React：
+ *   - 真实 React 的错误边界是实现了 getDerivedStateFromError 的 class 组件，
+ *     这里只有函数组件，所以提供一个内置的 <ErrorBoundary>
+ *   - 事件 handler 中的错误不会被捕获（React 也一样）
+ *
+ * ============================================================
+ */
+
+import { normalizeRenderResult } from './component.js'
+import { scheduleRerender } from './hooks.js'
+
+/**
+ * 错误边界组件
+ *
+ * 没有错误时原样渲染 children；
+ * 捕获到错误后 reconciler 改为渲染 fallback（见 renderFallback）。
+ *
+ * @param {Object} props
+ * @param {Function|Object} props.fallback - (error, reset) => VNode，或者直接是一个 VNode
+ * @param {Array}  props.children
+ */
+export function ErrorBoundary({ children }) {
+  return children
+}
+
+/**
+ * 判断一个 VNode 是否为 ErrorBoundary
+ */
+export function isErrorBoundary(vnode) {
+  return vnode != null && vnode.type === ErrorBoundary
+}
+
+/**
+ * 边界的错误状态：{ caught: { error } | null, current: VNode }
+ *
+ * 和 __hooks 一样在边界的每次渲染之间共享（reconciler 从旧 VNode 复制 __errorState），
+ * 用 { error } 包一层，是为了连 throw null / throw undefined 也能表示「已捕获」。
+ *
+ * current 是边界最近一次渲染的 VNode（由 renderComponentChild 更新）：
+ * 父组件重渲染后边界换成了新的 VNode，而子组件的 __parentComponent、
+ * fallback 里的 reset 可能还指向旧的那个 —— 重渲染旧 VNode 会协调一棵过期的子树。
+ */
+export function getErrorState(boundary) {
+  boundary.__errorState ??= { caught: null, current: boundary }
+  return boundary.__errorState
+}
+
+/**
+ * 生成边界的 fallback（边界已捕获错误时由 reconciler 调用）
+ *
+ * reset 清除错误并重渲染边界 —— 重新尝试渲染 children。
+ *
+ * @param {Object} boundary - ErrorBoundary 组件 VNode
+ * @returns {Object} 规范化后的 fallback VNode
+ */
+export function renderFallback(boundary) {
+  const { fallback } = boundary.props
+  const { error } = getErrorState(boundary).caught
+  const reset = () => {
+    const state = getErrorState(boundary)
+    state.caught = null
+    scheduleRerender(state.current)
+  }
+  return normalizeRenderResult(typeof fallback === 'function' ? fallback(error, reset) : fallback)
+}
+
+/**
+ * 从 component 向上查找负责它的错误边界
+ *
+ * 跳过已经卸载的边界（卸载时 cleanup 抛出的错误，边界可能也在被删除的子树中）。
+ *
+ * @param {Object} component - 抛出错误的组件 VNode
+ * @returns {Object|null} 边界最近一次渲染的 VNode
+ */
+export function findErrorBoundary(component) {
+  for (let node = component.__parentComponent; node; node = node.__parentComponent) {
+    if (!isErrorBoundary(node)) continue
+    const boundary = getErrorState(node).current
+    if (!boundary.__unmounted) return boundary
+  }
+  return null
+}
+
+/**
+ * 记录边界捕获到的错误（同一个边界只保留第一个错误）
+ */
+export function captureError(boundary, error) {
+  const state = getErrorState(boundary)
+  if (!state.caught) {
+    state.caught = { error }
+  }
+}
+
+/**
+ * 报告 Commit Phase 之后发生的错误（effect / cleanup）
+ *
+ * 交给最近的边界并调度它重渲染；没有边界时原样抛出
+ * （卸载时的 cleanup 在 Commit Phase 中执行，commitRoot 等所有 mutation 完成后才抛出）。
+ *
+ * @param {Object} component - 错误所在的组件 VNode
+ * @param {*}      error
+ */
+export function reportError(component, error) {
+  const boundary = findErrorBoundary(component)
+  if (!boundary) throw error
+  captureError(boundary, error)
+  scheduleRerender(boundary)
+}
@@ -37,6 +37,22 @@
  *      → 每个节点检查 __eventHandlers[eventType]
  *      → 如果有 handler，调用它（模拟冒泡）
  *
+ * 📝 表单控件（受控组件）：
+ *   - onChange 与 React 一致：文本框每次输入都会触发，而不是等到失焦
+ *   - 事件 handler 执行完后，同步 flush 它们触发的更新，
+ *     再把 <input> / <textarea> / <select> 恢复成 props 中的 value / checked
+ *   - 输入法组合输入（IME）期间不触发 onChange、不恢复，等 compositionend 再处理
+ *
+ * 🧩 自定义元素（Web Components）：
+ *   - onValueChanged / onMy-event 这类自定义事件名保留原有大小写（见 getCustomElementEventName）
+ *   - 不在 DELEGATED_EVENTS 中的事件类型，第一次出现 handler 时才注册到 root 上
+ *     （冒泡的事件在冒泡阶段派发，不冒泡的事件在捕获阶段派发）
+ *   - 沿 event.composedPath() 向上查找 handler，shadow root 内部派发的事件也能被接收
+ *
+ * 🚪 Portal：
+ *   - Portal 内触发的事件沿 Portal 的 DOM 冒泡到它的容器后，
+ *     从 Portal 在组件树中的位置继续向上，能被外层组件的 handler 接收（见 getPropagationPath）
+ *
  * 💡 简化版 vs 真实 React：
  *   - 真实 React 使用 SyntheticEvent 包装原生事件，抹平浏览器差异
  *   - 真实 React 17+ 将事件绑定在 root 而非 document 上（我们也是这样）
@@ -45,6 +61,10 @@
  * ============================================================
  */
 
+import { flushPendingUpdates } from './hooks.js'
+import { isFormControl, restoreControlledState, updateValueTracker } from './render.js'
+import { getDomNodes, getRenderedChildren } from './component.js'
+
 // ─── 事件属性工具函数 ────────────────────────────────────────
 
 /**
@@ -101,6 +121,27 @@ export function getEventName(propName) {
   return propName.slice(2).toLowerCase();
 }
 
+/**
+ * 自定义元素上事件 prop 对应的 DOM 事件名称
+ *
+ * 自定义元素派发的事件名由组件作者决定，大小写敏感，不能一律转小写：
+ * 元素本身支持的标准事件（onClick → click）照常转换，
+ * 其余的去掉 "on" 后原样保留。
+ *
+ * 示例：
+ *   getCustomElementEventName('onClick', el)        → 'click'
+ *   getCustomElementEventName('onValueChanged', el) → 'ValueChanged'
+ *   getCustomElementEventName('onMy-event', el)     → 'My-event'
+ *
+ * @param {string}      propName - 事件 prop 名称
+ * @param {HTMLElement} dom      - 自定义元素
+ * @returns {string}
+ */
+export function getCustomElementEventName(propName, dom) {
+  const standardName = getEventName(propName);
+  return `on${standardName}` in dom ? standardName : propName.slice(2);
+}
+
 // ─── 事件委托核心 ────────────────────────────────────────────
 
 /**
@@ -118,10 +159,36 @@ const DELEGATED_EVENTS = [
   'input', 'change', 'submit',
   // 焦点事件
   'focus', 'blur',
+  // 输入法组合输入
+  'compositionstart', 'compositionend',
   // 其他
   'scroll',
 ]
 
+const DELEGATED_EVENT_SET = new Set(DELEGATED_EVENTS)
+
+/**
+ * 按需委托的事件类型（不在 DELEGATED_EVENTS 中，例如自定义元素的自定义事件）
+ *
+ * 第一次有元素注册这种事件的 handler 时，补注册到所有 root 上；之后创建的 root 也会注册。
+ * 这类事件经常不冒泡（new CustomEvent() 默认 bubbles: false），冒泡阶段不会经过 root，
+ * 所以每种类型在 root 上注册两个监听器（见 listenToLazyEvent）：
+ *   - 冒泡阶段：派发冒泡的事件（onPointerDown、onWheel 等），和 DELEGATED_EVENTS 一样
+ *     在目标自己的原生监听器之后执行，handler 里的 stopPropagation 也不会拦住它们
+ *   - 捕获阶段：只派发不冒泡的事件 —— 捕获阶段总会经过 root
+ */
+const lazyEventTypes = new Set()
+
+/**
+ * 所有已初始化事件委托的 root 容器（teardownEventDelegation 时移除）
+ */
+const rootContainers = new Set()
+
+/**
+ * 可能修改表单控件值的事件：之后要检查是否派发 onChange，并恢复受控值
+ */
+const CHANGE_TRIGGER_EVENTS = new Set(['input', 'change', 'click', 'compositionend'])
+
 /**
  * 在 root 容器上设置事件委托
  *
@@ -185,22 +252,194 @@ export function setupEventDelegation(rootContainer) {
     return;
   }
 
+  rootContainer.__eventListeners = [];
   DELEGATED_EVENTS.forEach(event => {
-    rootContainer.addEventListener(event, (nativeEvent) => {
-      let target = nativeEvent.target;
-      while (target && target !== rootContainer) {
-        const handler = target.__eventHandlers?.[event];
-        if (handler) {
-          handler(nativeEvent);
-        }
-        target = target.parentNode;
-      }
-    })
+    addRootListener(rootContainer, event, (nativeEvent) => {
+      dispatchEvent(event, nativeEvent, rootContainer);
+    });
   })
+  lazyEventTypes.forEach(event => listenToLazyEvent(rootContainer, event));
 
+  rootContainers.add(rootContainer);
   rootContainer.__eventsInitialized = true;
 }
 
+/**
+ * 撤销 root 容器上的事件委托（root.unmount 时调用）
+ *
+ * 移除注册过的监听器，并把容器从 rootContainers 中删除；
+ * 之后在同一个容器上 createRoot 会重新初始化。
+ * 容器中仍有 Portal 时保留 —— 它们的事件还要靠这些监听器派发。
+ *
+ * @param {HTMLElement} rootContainer - createRoot 的 DOM 容器
+ */
+export function teardownEventDelegation(rootContainer) {
+  if (!rootContainer.__eventsInitialized || rootContainer.__portals?.size) {
+    return;
+  }
+
+  rootContainer.__eventListeners.forEach(([eventType, listener, capture]) => {
+    rootContainer.removeEventListener(eventType, listener, capture);
+  });
+  rootContainer.__eventListeners = null;
+  rootContainers.delete(rootContainer);
+  rootContainer.__eventsInitialized = false;
+}
+
+/**
+ * 在 root 容器上注册监听器，并记下来供 teardownEventDelegation 移除
+ */
+function addRootListener(rootContainer, eventType, listener, capture = false) {
+  rootContainer.addEventListener(eventType, listener, capture);
+  rootContainer.__eventListeners.push([eventType, listener, capture]);
+}
+
+/**
+ * 为按需委托的事件类型注册监听器：冒泡的事件在冒泡阶段派发，不冒泡的在捕获阶段派发
+ */
+function listenToLazyEvent(rootContainer, eventType) {
+  addRootListener(rootContainer, eventType, (nativeEvent) => {
+    if (nativeEvent.bubbles) {
+      dispatchEvent(eventType, nativeEvent, rootContainer);
+    }
+  });
+  addRootListener(rootContainer, eventType, (nativeEvent) => {
+    if (!nativeEvent.bubbles) {
+      dispatchEvent(eventType, nativeEvent, rootContainer);
+    }
+  }, true);
+}
+
+/**
+ * 确保某种事件类型已经委托到所有 root 上（按需注册）
+ */
+function ensureEventDelegated(eventType) {
+  if (DELEGATED_EVENT_SET.has(eventType) || lazyEventTypes.has(eventType)) return;
+  lazyEventTypes.add(eventType);
+  rootContainers.forEach(rootContainer => listenToLazyEvent(rootContainer, eventType));
+}
+
+/**
+ * 计算事件在组件树中的冒泡路径
+ *
+ * 路径取自 composedPath()：事件从 shadow root 内部派发时，
+ * event.target 已被重定向为宿主元素，composedPath() 才是完整的传播路径。
+ *
+ * 📌 Portal：Portal 的 DOM 在另一个容器中，原生事件冒泡不会经过组件树中的祖先。
+ *   所以 Portal 的容器也注册了委托监听（见 reconciler.js 的 schedulePortalUpdate），
+ *   冒泡到容器时，从 Portal 在组件树中所在的父 DOM（__parentDom）接着向上。
+ *
+ * 向上走回同一个容器时（嵌套的 Portal 渲染到同一个容器，例如弹窗里再打开的提示框），
+ * 用新的顶层节点继续查找外层的 Portal。
+ *
+ * 一个事件可能经过多个注册了委托的容器（例如 root 容器在 Portal 的容器 body 里），
+ * 只由离目标最近的那个容器负责派发，其余容器返回 null。
+ *
+ * @returns {Array|null} 从目标开始向上的节点列表（不含容器）
+ */
+function getPropagationPath(nativeEvent, rootContainer) {
+  const composedPath = nativeEvent.composedPath();
+  const end = composedPath.findIndex(node => node.__eventsInitialized);
+  if (composedPath[end] !== rootContainer) return null;
+
+  const path = composedPath.slice(0, end);
+  let container = rootContainer;
+  while (container.__portals && path.length > 0) {
+    const parentDom = findPortalParentDom(container, path[path.length - 1]);
+    if (!parentDom) break;
+
+    const length = path.length;
+    let node = parentDom;
+    while (node && !node.__eventsInitialized) {
+      path.push(node);
+      node = node.parentNode;
+    }
+    if (!node) break;
+    if (node === container) {
+      // Portal 就挂在容器本身下面：路径没有变长，再找也是同一个结果
+      if (path.length === length) break;
+      continue;
+    }
+    container = node;
+  }
+  return path;
+}
+
+/**
+ * 找到容器中包含 topNode 的 Portal，返回它在组件树中所在的父 DOM
+ */
+function findPortalParentDom(container, topNode) {
+  for (const portal of container.__portals) {
+    if (getRenderedChildren(portal).some(child => getDomNodes(child).includes(topNode))) {
+      return portal.__parentDom;
+    }
+  }
+  return null;
+}
+
+/**
+ * 沿冒泡路径依次调用每个节点上的 handler
+ *
+ * 不冒泡的事件只在「目标」上触发 handler：
+ * 路径的第一个节点，以及事件穿出 shadow root 时所在的宿主元素。
+ */
+function dispatchToHandlers(eventType, nativeEvent, path) {
+  path.forEach((node, i) => {
+    const isTarget = i === 0 || path[i - 1].host === node;
+    if (!nativeEvent.bubbles && !isTarget) return;
+
+    const handler = node.__eventHandlers?.[eventType];
+    if (handler) {
+      handler(nativeEvent);
+    }
+  });
+}
+
+/**
+ * 委托监听器的入口：派发事件，并处理表单控件的 onChange 与受控值恢复
+ *
+ *   1. 冒泡调用 handler（表单控件的原生 change 除外，onChange 由第 2 步决定）
+ *   2. 值真的变了（updateValueTracker）→ 冒泡派发 onChange
+ *   3. 同步 flush handler 触发的 setState
+ *   4. 把 DOM 恢复成最新 props 中的 value / checked（state 没接受这次输入时生效）
+ *
+ * 📌 IME：拼音等组合输入的过程中，input 事件里是未完成的中间值，
+ *   此时恢复 DOM 会打断输入法。所以 compositionstart ~ compositionend 之间
+ *   跳过第 2–4 步，compositionend 时再按最终的值统一处理。
+ */
+function dispatchEvent(eventType, nativeEvent, rootContainer) {
+  const path = getPropagationPath(nativeEvent, rootContainer);
+  if (!path) return;
+
+  const target = nativeEvent.target;
+  const formControl = isFormControl(target);
+
+  if (formControl && eventType === 'compositionstart') {
+    target.__composing = true;
+  } else if (formControl && eventType === 'compositionend') {
+    target.__composing = false;
+  }
+
+  if (!(formControl && eventType === 'change')) {
+    dispatchToHandlers(eventType, nativeEvent, path);
+  }
+
+  if (!formControl || !CHANGE_TRIGGER_EVENTS.has(eventType) || target.__composing) {
+    return;
+  }
+
+  // <select> 只有原生 change 表示选择变化；其他控件比较记录的值
+  const changed = target.localName === 'select'
+    ? eventType === 'change'
+    : updateValueTracker(target);
+  if (changed) {
+    dispatchToHandlers('change', nativeEvent, path);
+  }
+
+  flushPendingUpdates();
+  restoreControlledState(target);
+}
+
 // ─── DOM 节点事件处理器存储 ──────────────────────────────────
 
 /**
@@ -225,6 +464,7 @@ export function setEventHandler(dom, eventType, handler) {
     dom.__eventHandlers = {};
   }
   dom.__eventHandlers[eventType] = handler;
+  ensureEventDelegated(eventType);
 }
 
 /**
@@ -49,7 +49,7 @@
  *                                          │
  *   flushUpdates 执行时（Microtask #1）：    │
  *     ├─ 调用组件函数（Phase 1 + 2 同步完成）│
- *     │   └─ useEffect 内部 queueMicrotask(effectFn)  ← 排入队列
+ *     │   └─ commitRoot 中 queueMicrotask(effectFn)  ← 排入队列
  *     └─ DOM 已更新 ✅                       │
  *                                          │
  *   effectFn 执行时（Microtask #2）：        ▼
@@ -73,8 +73,15 @@
  * ============================================================
  */
 
-import { reconcile, commitRoot } from './reconciler.js'
-import { getComponentDom } from './component.js'
+import {
+  reconcile,
+  commitRoot,
+  renderComponentChild,
+  schedulePassiveEffect,
+  discardPendingMutations,
+} from './reconciler.js'
+import { getComponentDom, callComponent, runWithOwner } from './component.js'
+import { findErrorBoundary, captureError, reportError } from './error-boundary.js'
 
 // ─── 全局 Hook 上下文 ──────────────────────────────────────────
 
@@ -114,17 +121,52 @@ export function setCurrentComponent(component) {
  * 同时进行 Hook 数量检查（防止条件调用 Hook）
  */
 export function clearCurrentComponent() {
-  if (currentComponent.__expectedHookCount == null) {
-    currentComponent.__expectedHookCount = hookIndex
-  } else if (currentComponent.__expectedHookCount !== hookIndex) {
+  const component = currentComponent
+  currentComponent = null
+
+  if (component.__expectedHookCount == null) {
+    component.__expectedHookCount = hookIndex
+  } else if (component.__expectedHookCount !== hookIndex) {
     throw new Error(
       'Hook call order changed between renders. ' +
-      `Expected ${currentComponent.__expectedHookCount} hooks but got ${hookIndex}. ` +
+      `Expected ${component.__expectedHookCount} hooks but got ${hookIndex}. ` +
       'Hooks must not be called conditionally.'
     )
   }
+}
 
+/**
+ * 放弃当前 Hook 上下文（组件函数抛错时使用）
+ *
+ * 抛错时组件只执行了一部分，Hook 数量必然对不上，
+ * 不能做数量检查 —— 否则 "Hook call order changed" 会盖掉真正的错误。
+ */
+export function resetCurrentComponent() {
   currentComponent = null
+  hookIndex = 0
+}
+
+/**
+ * 在 Hook 上下文中调用函数组件
+ *
+ * 封装 set → 调用 → clear 的固定流程，
+ * reconciler 的 reconcile / mountVNode 与这里的 renderComponent 共用。
+ * 组件抛错时跳过 Hook 数量检查，原样抛出组件的错误。
+ *
+ * @param {Object} component - 组件 VNode
+ * @returns {Object|null} 组件返回的子 VNode
+ */
+export function renderWithHooks(component) {
+  setCurrentComponent(component)
+  let childVNode
+  try {
+    childVNode = callComponent(component)
+  } catch (error) {
+    resetCurrentComponent()
+    throw error
+  }
+  clearCurrentComponent()
+  return childVNode
 }
 
 // ─── Hook 上下文校验 ──────────────────────────────────────────
@@ -422,12 +464,21 @@ export function useEffect(callback, deps) {
     const hookRef = component.__hooks[idx]
     // 🟢 Passive Effects Phase: 用 queueMicrotask 将 effect 推迟到 render + commit 完成之后
     //    此时 DOM 已更新，可以安全地进行副作用操作（如 DOM 测量、数据请求、订阅等）
-    queueMicrotask(() => {
-      if(hookRef.cleanup){
-        hookRef.cleanup()
+    //    effect 随本次渲染的 mutation 一起提交（见 schedulePassiveEffect）：
+    //    被 ErrorBoundary 丢弃的渲染不会执行 effect
+    schedulePassiveEffect(() => {
+      try {
+        if(hookRef.cleanup){
+          const prevCleanup = hookRef.cleanup
+          hookRef.cleanup = undefined
+          prevCleanup()
+        }
+        const cleanup = callback()
+        hookRef.cleanup = typeof cleanup === 'function' ? cleanup : undefined
+      } catch (error) {
+        // effect / cleanup 抛出的错误交给最近的 ErrorBoundary
+        reportError(component, error)
       }
-      const cleanup = callback()
-      hookRef.cleanup = typeof cleanup === 'function' ? cleanup : undefined
     })
   }
   
@@ -703,11 +754,22 @@ export function unmountComponent(component) {
   // 暂时为空函数，避免 reconciler 调用时报错
   if(!component?.__hooks) return
 
+  // 已卸载的 ErrorBoundary 不再接收错误（见 findErrorBoundary）
+  component.__unmounted = true
+  // 某个 cleanup 抛错时其余的 cleanup 照常执行，错误在最后统一报告（只报告第一个）
+  let uncaught = null
   component.__hooks.forEach(hook => {
     if (hook?.cleanup && typeof hook.cleanup === 'function') {
-      hook.cleanup()
+      try {
+        hook.cleanup()
+      } catch (error) {
+        uncaught ??= { error }
+      }
     }
   })
+  if (uncaught) {
+    reportError(component, uncaught.error)
+  }
 }
 
 // ─── 重新渲染调度 ─────────────────────────────────────────────
@@ -761,6 +823,19 @@ function flushUpdates() {
   // ← 函数返回后，microtask 队列中的 effect 才会执行（Phase 3）
 }
 
+/**
+ * 立即执行已调度、尚未 flush 的更新（不等待 microtask）
+ *
+ * 受控表单需要它：input / change 事件的 handler 调用 setState 后，
+ * events.js 要马上知道新的 value，才能决定是否把 DOM 恢复成 prop
+ * （见 render.js 的 restoreControlledState）。
+ * 之后排队的 flushUpdates microtask 会发现没有脏组件，什么也不做。
+ */
+export function flushPendingUpdates() {
+  if (dirtyComponents.size === 0) return
+  flushUpdates()
+}
+
 // ─── 组件重渲染 ──────────────────────────────────────────────
 
 /**
@@ -773,21 +848,36 @@ function flushUpdates() {
  *            （useState 同步消费 queue，useEffect 排队 effect）
  *   Phase 2: reconcile → DOM 更新
  *
+ * 📌 渲染中途抛错时，丢弃已经收集的 mutation，
+ *    改为重渲染最近的 ErrorBoundary（由它渲染 fallback）；没有边界时原样抛出。
+ *
  * @param {Object} component - 组件 VNode
  */
 function renderComponent(component) {
-  setCurrentComponent(component)
-  let newChildVNode
+  let renderedChild
   try {
-    newChildVNode = component.type(component.props)
-  } finally {
-    clearCurrentComponent()
+    // 重渲染从 component 开始，它的 __parentComponent 沿用首次渲染时记录的值
+    // component 本身是 ErrorBoundary 时，子树的错误由 renderComponentChild 接住
+    renderedChild = runWithOwner(component, () => renderComponentChild(component, newChildVNode => {
+      const parentDom = component.__parentDom
+      // Phase 1: Render Phase — 收集 effects
+      // 子树换了根节点时，新 DOM 插回组件原来的位置（而不是追加到 parentDom 末尾）
+      return reconcile(parentDom, component.__childVNode, newChildVNode, component.__getAnchor)
+    }))
+  } catch (error) {
+    discardPendingMutations()
+    const boundary = findErrorBoundary(component)
+    if (!boundary) throw error
+    captureError(boundary, error)
+    renderComponent(boundary)
+    return
   }
-  const parentDom = component.__parentDom
-  // Phase 1: Render Phase — 收集 effects
-  reconcile(parentDom, component.__childVNode, newChildVNode)
   // Phase 2: Commit Phase — 批量提交 DOM 变更
-  commitRoot()
-  component.__childVNode = newChildVNode
-  component.__dom = getComponentDom(newChildVNode)
+  // （cleanup 抛出的错误在 DOM 全部更新后才抛出，子树照常记录下来）
+  try {
+    commitRoot()
+  } finally {
+    component.__childVNode = renderedChild
+    component.__dom = getComponentDom(renderedChild)
+  }
 }
@@ -5,25 +5,36 @@
  * 使用方只需 import MiniReact from './mini-react'
  */
 
-import { createElement, TEXT_ELEMENT } from './createElement.js'
+import { createElement, cloneElement, isValidElement, TEXT_ELEMENT, Fragment } from './createElement.js'
+import { Children } from './children.js'
 import { render, createDom, updateProps } from './render.js'
 import { reconcile, commitRoot } from './reconciler.js'
 import { createRoot } from './root.js'
-import { isComponent, getComponentDom } from './component.js'
+import { createPortal } from './portal.js'
+import { ErrorBoundary } from './error-boundary.js'
+import { isComponent, isFragment, getComponentDom, getDomNodes } from './component.js'
 import { useState, useEffect, useRef, useReducer, useContext, useMemo, useCallback } from './hooks.js'
 import { isEventProp, getEventName, setupEventDelegation, setEventHandler, removeEventHandler } from './events.js'
 import { createContext, shallowEqual, memo } from './context.js'
 
 const MiniReact = {
   createElement,
+  cloneElement,
+  isValidElement,
+  Children,
+  Fragment,
   render,
   createRoot,
+  createPortal,
+  ErrorBoundary,
   reconcile,
   commitRoot,
   createDom,
   updateProps,
   isComponent,
+  isFragment,
   getComponentDom,
+  getDomNodes,
   useState,
   useEffect,
   useRef,
@@ -42,5 +53,5 @@ const MiniReact = {
   TEXT_ELEMENT,
 }
 
-export { createElement, render, createRoot, reconcile, commitRoot, createDom, updateProps, isComponent, getComponentDom, useState, useEffect, useRef, useReducer, useContext, useMemo, useCallback, createContext, shallowEqual, memo, isEventProp, getEventName, setupEventDelegation, setEventHandler, removeEventHandler, TEXT_ELEMENT }
+export { createElement, cloneElement, isValidElement, Children, Fragment, render, createRoot, createPortal, ErrorBoundary, reconcile, commitRoot, createDom, updateProps, isComponent, isFragment, getComponentDom, getDomNodes, useState, useEffect, useRef, useReducer, useContext, useMemo, useCallback, createContext, shallowEqual, memo, isEventProp, getEventName, setupEventDelegation, setEventHandler, removeEventHandler, TEXT_ELEMENT }
 export default MiniReact
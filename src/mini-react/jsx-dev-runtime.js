@@ -0,0 +1,39 @@
+/**
+ * ============================================================
+ * Mini-React: jsx-dev-runtime — 开发模式的自动 JSX 运行时
+ * ============================================================
+ *
+ * 🎯 职责：
+ *   开发构建下编译器会改为导入 `mini-react/jsx-dev-runtime` 的 jsxDEV，
+ *   并额外传入 JSX 所在的源码位置：
+ *
+ *     jsxDEV('div', { children: 'hi' }, undefined, false,
+ *            { fileName: 'App.jsx', lineNumber: 12, columnNumber: 5 }, this)
+ *
+ *   源码位置作为 __source 交给 createElement，记录到 vnode.__source 上，
+ *   开发警告（缺少 key、重复 key、propTypes、组件栈）据此附上 "(at App.jsx:12)"。
+ *   缺少 key 的检查在 createElement 中进行，所以位置必须在创建时就传进去。
+ *
+ * ============================================================
+ */
+
+import { jsx, jsxs, Fragment } from './jsx-runtime.js'
+
+/**
+ * 开发模式下创建 VNode
+ *
+ * @param {string|Function|symbol} type
+ * @param {Object}  config
+ * @param {*}       maybeKey
+ * @param {boolean} isStaticChildren - true 对应 jsxs（多个静态子节点）
+ * @param {{ fileName: string, lineNumber: number, columnNumber: number }} [source]
+ * @returns {Object} VNode
+ */
+export function jsxDEV(type, config, maybeKey, isStaticChildren, source) {
+  const configWithSource = source ? { ...config, __source: source } : config
+  return isStaticChildren
+    ? jsxs(type, configWithSource, maybeKey)
+    : jsx(type, configWithSource, maybeKey)
+}
+
+export { Fragment }
@@ -0,0 +1,86 @@
+/**
+ * ============================================================
+ * Mini-React: jsx-runtime — 自动 JSX 运行时
+ * ============================================================
+ *
+ * 🎯 职责：
+ *   配合 esbuild / Babel 的 jsx: 'automatic' 模式使用。
+ *   编译器会自动从 `mini-react/jsx-runtime` 导入 jsx / jsxs，
+ *   业务文件不再需要手动 import MiniReact。
+ *
+ * 经典模式 vs 自动模式：
+ *
+ *   <div key="a" id="x">{a}{b}</div>
+ *
+ *   经典模式（jsxFactory）：
+ *     createElement('div', { key: 'a', id: 'x' }, a, b)
+ *
+ *   自动模式（jsxImportSource）：
+ *     jsxs('div', { id: 'x', children: [a, b] }, 'a')
+ *
+ *   区别：
+ *   - children 放在 props.children 里（单个子节点时不是数组）
+ *   - key 作为第三个参数单独传入
+ *   - 静态的多个子节点走 jsxs，其他情况走 jsx
+ *
+ * 这里把自动模式的参数整理成 createElement 的形式，
+ * 保证两种模式产出的 VNode 完全一致。
+ *
+ * ============================================================
+ */
+
+import { createElement, Fragment } from './createElement.js'
+
+/**
+ * 将自动运行时的 (config, maybeKey) 拆分为 props 与 children
+ *
+ * key 优先取编译器传入的 maybeKey；
+ * 当 JSX 中有 {...spread} 时，key 可能留在 config 中。
+ * 整理后的 key 交给 createElement，由它提升为 VNode 的顶层字段。
+ *
+ * @param {Object|null} config   - 编译器传入的 props（含 children）
+ * @param {*}           maybeKey - 编译器传入的 key
+ * @returns {{ props: Object, children: * }}
+ */
+function splitConfig(config, maybeKey) {
+  const { key: configKey, children, ...props } = config ?? {}
+  const key = maybeKey !== undefined ? maybeKey : configKey
+  if (key != null) {
+    props.key = key
+  }
+  return { props, children }
+}
+
+/**
+ * 创建 VNode — 0 个或 1 个（动态）子节点
+ *
+ * 单个子节点可能本身就是数组（如 {items.map(...)}），
+ * 原样交给 createElement，由它递归拍平。
+ *
+ * @param {string|Function|symbol} type
+ * @param {Object} config
+ * @param {*} [maybeKey]
+ * @returns {Object} VNode
+ */
+export function jsx(type, config, maybeKey) {
+  const { props, children } = splitConfig(config, maybeKey)
+  if (children === undefined) {
+    return createElement(type, props)
+  }
+  return createElement(type, props, children)
+}
+
+/**
+ * 创建 VNode — 多个静态子节点（children 一定是数组）
+ *
+ * @param {string|Function|symbol} type
+ * @param {Object} config
+ * @param {*} [maybeKey]
+ * @returns {Object} VNode
+ */
+export function jsxs(type, config, maybeKey) {
+  const { props, children } = splitConfig(config, maybeKey)
+  return createElement(type, props, ...children)
+}
+
+export { Fragment }
@@ -0,0 +1,59 @@
+/**
+ * ============================================================
+ * Mini-React: portal — createPortal
+ * ============================================================
+ *
+ * 🎯 职责：
+ *   把一部分子树渲染到 root 之外的另一个 DOM 容器中。
+ *
+ * 典型场景：
+ *   弹窗、tooltip、toast 需要跳出 overflow: hidden / z-index 层叠的父元素：
+ *
+ *     function Modal({ children }) {
+ *       return createPortal(<div className="modal">{children}</div>, document.body)
+ *     }
+ *
+ * 📌 DOM 在别处，组件树不变：
+ *
+ *   ┌──────────────────────────┬────────────────────────────────┐
+ *   │ 组件树（逻辑位置）       │ DOM（实际位置）                │
+ *   ├──────────────────────────┼────────────────────────────────┤
+ *   │ <App>                    │ <div id="root">                │
+ *   │   <section onClick>      │   <section>                    │
+ *   │     <Modal>              │     （Portal 不占位置）        │
+ *   │       <div.modal>        │ <body> 末尾：<div.modal>       │
+ *   └──────────────────────────┴────────────────────────────────┘
+ *
+ *   - Context：Portal 的子组件和普通子组件一样，在 <App> 的渲染过程中被调用，
+ *     能读到 Portal 上方 Provider 提供的值
+ *   - 事件：<div.modal> 内触发的事件，冒泡完 Portal 的 DOM 之后，
+ *     接着从 Portal 所在的位置（<section>）继续向上冒泡（见 events.js）
+ *   - 删除：Portal 所在的子树被删除时，容器中的 DOM 一并移除
+ *
+ * 💡 简化版 vs 真实 React：
+ *   - 真实 React 的 createPortal 来自 react-dom，这里放在单独的模块中
+ *   - Portal 的子节点总是追加到容器末尾（容器中可以有其他不受管理的内容）
+ *
+ * ============================================================
+ */
+
+import { createElement, Portal } from './createElement.js'
+
+/**
+ * 创建一个 Portal
+ *
+ * @param {*}       children  - 要渲染的内容（与 createElement 的 children 规则相同）
+ * @param {Element} container - 目标 DOM 容器（Element 或 DocumentFragment）
+ * @param {*}       [key]     - Portal 出现在列表中时的 key
+ * @returns {Object} type 为 Portal 的 VNode，容器记在 props.container 上
+ */
+export function createPortal(children, container, key = null) {
+  if (!isValidContainer(container)) {
+    throw new Error('Target container is not a DOM element.')
+  }
+  return createElement(Portal, { key, container }, children)
+}
+
+function isValidContainer(node) {
+  return node != null && (node.nodeType === Node.ELEMENT_NODE || node.nodeType === Node.DOCUMENT_FRAGMENT_NODE)
+}
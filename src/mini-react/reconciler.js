@@ -20,7 +20,9 @@
  *   │    DELETION  — 旧节点需要从 DOM 树中移除                 │
  *   │    REPLACE   — 旧节点需要被新节点替换                    │
  *   │    UPDATE    — 已有节点的属性需要更新                    │
- *   │    REORDER   — 子节点需要重新排列（insertBefore）        │
+ *   │    MOVE      — 复用的子节点需要移动位置（insertBefore）  │
+ *   │    DETACH_REF / ATTACH_REF — 解绑 / 绑定原生元素的 ref   │
+ *   │    EFFECT    — useEffect 回调，提交后交给 microtask      │
  *   ├─────────────────────────────────────────────────────────┤
  *   │ Phase 2: Commit Phase（commitRoot — 批量 DOM 变更）     │
  *   │                                                         │
@@ -45,18 +47,39 @@
  * ============================================================
  */
 
-import { TEXT_ELEMENT } from './createElement.js'
-import { createDom, updateProps } from './render.js'
-import { isComponent, getComponentDom } from './component.js'
-import { setCurrentComponent, clearCurrentComponent, unmountComponent } from './hooks.js'
+import { TEXT_ELEMENT, Fragment, Portal, isValidElement, getChildKeyScope, getChildSlot } from './createElement.js'
+import {
+  createDom,
+  updateProps,
+  updateSelect,
+  getChildNamespace,
+  hasDangerousHtml,
+} from './render.js'
+import {
+  isComponent,
+  isFragment,
+  isPortal,
+  getComponentDom,
+  getDomNodes,
+  getRenderedChildren,
+  getCurrentOwner,
+  runWithOwner,
+} from './component.js'
+import { __DEV__, warning } from './dev.js'
+import { renderWithHooks, unmountComponent } from './hooks.js'
+import { setupEventDelegation } from './events.js'
+import { isErrorBoundary, getErrorState, renderFallback, captureError } from './error-boundary.js'
 
 // ─── Mutation 类型常量 ────────────────────────────────────────
 
-const PLACEMENT = 'PLACEMENT'  // appendChild — 新增节点
+const PLACEMENT = 'PLACEMENT'  // insertBefore — 新增节点（插到锚点之前）
 const DELETION  = 'DELETION'   // removeChild — 删除节点
-const REPLACE   = 'REPLACE'    // replaceChild — 替换节点
+const REPLACE   = 'REPLACE'    // insertBefore + removeChild — 替换节点
 const UPDATE    = 'UPDATE'     // updateProps — 属性更新
-const REORDER   = 'REORDER'    // insertBefore — 重排序
+const MOVE      = 'MOVE'       // insertBefore — 移动复用的节点
+const DETACH_REF = 'DETACH_REF' // ref.current = null / ref(null) — 解绑 ref
+const ATTACH_REF = 'ATTACH_REF' // ref.current = dom / ref(dom)   — 绑定 ref
+const EFFECT    = 'EFFECT'     // queueMicrotask(effect) — 排队 useEffect
 
 // ─── Mutation 收集器 ──────────────────────────────────────────
 
@@ -66,13 +89,17 @@ const REORDER   = 'REORDER'    // insertBefore — 重排序
  *
  * 每个 mutation 的结构：
  *   {
- *     type: PLACEMENT | DELETION | REPLACE | UPDATE | REORDER,
- *     parentDom: HTMLElement,   // 父 DOM 节点
- *     dom?: HTMLElement,        // PLACEMENT / DELETION 的目标 DOM
+ *     type: PLACEMENT | DELETION | REPLACE | UPDATE | MOVE | DETACH_REF | ATTACH_REF | EFFECT,
+ *     parentDom?: HTMLElement,  // 父 DOM 节点（ref / effect 类 mutation 没有）
+ *     dom?: HTMLElement,        // PLACEMENT / DELETION 的目标 DOM（PLACEMENT 可能是 DocumentFragment），
+ *                               // DETACH_REF / ATTACH_REF 的 ref 所指的 DOM
  *     newDom?: HTMLElement,     // REPLACE 的新 DOM
- *     oldDom?: HTMLElement,     // REPLACE 的旧 DOM
+ *     oldDoms?: Array<Node>,    // REPLACE 的旧 DOM（Fragment 可能有多个，也可能一个都没有）
+ *     getAnchor?: Function,    // PLACEMENT / REPLACE / MOVE 的插入位置（见 createSiblingAnchor）
  *     updateFn?: Function,     // UPDATE 的更新函数
- *     desiredOrder?: Array,    // REORDER 的期望子节点顺序
+ *     getDomNodes?: Function,  // MOVE 要移动的 DOM 节点（Commit Phase 时求值）
+ *     ref?: Object|Function,   // DETACH_REF / ATTACH_REF 的 ref
+ *     effect?: Function,       // EFFECT 的 useEffect 回调
  *   }
  */
 let pendingMutations = []
@@ -84,6 +111,29 @@ export function getPendingMutations() {
   return pendingMutations
 }
 
+/**
+ * 丢弃尚未提交的 mutation
+ *
+ * Render Phase 中途抛错、没有被 ErrorBoundary 接住时调用：
+ * 半途收集的 mutation 不能留给下一次 commitRoot。
+ */
+export function discardPendingMutations() {
+  pendingMutations = []
+}
+
+/**
+ * 最近一次 commitRoot 中 MOVE 移动 DOM 节点的次数
+ * （新建节点的插入不算，Fragment 的每个 DOM 节点各算一次）
+ */
+let lastCommitMoveCount = 0
+
+/**
+ * 获取最近一次提交移动 DOM 节点的次数（供测试断言 keyed diff 的移动量）
+ */
+export function getLastCommitMoveCount() {
+  return lastCommitMoveCount
+}
+
 // ─── 主入口（Render Phase） ──────────────────────────────────
 
 /**
@@ -95,80 +145,108 @@ export function getPendingMutations() {
  * @param {HTMLElement} parentDom - 父 DOM 节点
  * @param {Object|null} oldVNode  - 上一次渲染的 VNode（null 表示新增）
  * @param {Object|null} newVNode  - 本次渲染的 VNode（null 表示删除）
- * @param {number}      [index]   - 在父节点 children 中的位置索引
+ * @param {Function}    [getAnchor] - 返回新 DOM 应插在哪个节点之前（null 表示追加到末尾），
+ *                                    在 Commit Phase 才求值，见 createSiblingAnchor
+ * @returns {Object|null} 实际挂载的 VNode —— newVNode 已在别处挂载时是它的副本（见 claimVNode），
+ *                        调用方应保存这个返回值作为下一次的 oldVNode
  */
-export function reconcile(parentDom, oldVNode, newVNode, index = 0) {
+export function reconcile(parentDom, oldVNode, newVNode, getAnchor = noAnchor) {
+  assertValidChild(newVNode)
+  newVNode = claimVNode(newVNode, oldVNode)
+
   // ── 函数式组件处理 ────────────────────────────────────────
 
   if (isComponent(newVNode)) {
     if (isComponent(oldVNode) && oldVNode.type === newVNode.type) {
       newVNode.__hooks = oldVNode.__hooks
+      newVNode.__expectedHookCount = oldVNode.__expectedHookCount
+      newVNode.__errorState = oldVNode.__errorState
+    } else if (isComponent(oldVNode)) {
+      // 换成了另一个组件：旧组件的 effect 要清理
+      scheduleUnmount(oldVNode)
     }
 
-    setCurrentComponent(newVNode)
     newVNode.__parentDom = parentDom
+    newVNode.__parentComponent = getCurrentOwner()
+    // setState 单独重渲染这个组件时，子树的新 DOM 仍要插回这个位置
+    newVNode.__getAnchor = getAnchor
 
-    let childVNode
-    try {
-      childVNode = newVNode.type(newVNode.props)
-    } finally {
-      clearCurrentComponent()
-    }
-
-    const oldChildVNode = isComponent(oldVNode) ? oldVNode.__childVNode : oldVNode
-    reconcile(parentDom, oldChildVNode ?? null, childVNode)
-    newVNode.__childVNode = childVNode
-    newVNode.__dom = getComponentDom(childVNode)
-    return
+    // 调用组件并协调子树期间，当前组件就是子树中组件的 owner
+    runWithOwner(newVNode, () => {
+      const oldChildVNode = isComponent(oldVNode) ? oldVNode.__childVNode : oldVNode
+      renderComponentChild(newVNode, childVNode => {
+        const renderedChild = reconcile(parentDom, oldChildVNode ?? null, childVNode, getAnchor)
+        newVNode.__childVNode = renderedChild
+        newVNode.__dom = getComponentDom(renderedChild)
+      })
+    })
+    return newVNode
   }
 
   if (isComponent(oldVNode)) {
-    unmountComponent(oldVNode)
+    scheduleUnmount(oldVNode)
     oldVNode = oldVNode.__childVNode
   }
 
   // ── 原生元素协调（收集 mutation，不直接操作 DOM） ──────────
 
   if (oldVNode == null) {
-    if (newVNode == null) return
+    if (newVNode == null) return null
 
     // 创建 DOM 子树（Render Phase 的一部分 — 构建 detached 的 DOM 树）
-    const dom = mountVNode(newVNode)
+    const dom = mountVNode(newVNode, parentDom, getAnchor)
 
-    // 📦 收集 PLACEMENT mutation（延迟到 Commit Phase 执行 appendChild）
+    // 📦 收集 PLACEMENT mutation（延迟到 Commit Phase 执行 insertBefore）
     pendingMutations.push({
       type: PLACEMENT,
       dom,
       parentDom,
+      getAnchor,
     })
   } else
   if (newVNode == null) {
     // 删除节点 — 先递归清理副作用
     cleanupEffects(oldVNode)
-    const dom = oldVNode.__dom
 
     // 📦 收集 DELETION mutation（延迟到 Commit Phase 执行 removeChild）
-    pendingMutations.push({
-      type: DELETION,
-      dom,
-      parentDom,
+    // Fragment 占据多个兄弟 DOM 节点，需要逐个删除
+    getDomNodes(oldVNode).forEach(dom => {
+      pendingMutations.push({
+        type: DELETION,
+        dom,
+        parentDom,
+      })
     })
   } else
-  if (oldVNode.type !== newVNode.type) {
-    // 类型变化 — 清理旧子树 + 创建新子树
+  if (oldVNode.type !== newVNode.type || isPortal(newVNode) && oldVNode.props.container !== newVNode.props.container) {
+    // 类型变化（Portal 换了容器也算）— 清理旧子树 + 创建新子树
     cleanupEffects(oldVNode)
-    const newDom = mountVNode(newVNode)
-    const oldDom = oldVNode.__dom
+    const oldDoms = getDomNodes(oldVNode)
+    const newDom = mountVNode(newVNode, parentDom, getAnchor)
 
-    // 📦 收集 REPLACE mutation（延迟到 Commit Phase 执行 replaceChild）
+    // 📦 收集 REPLACE mutation（延迟到 Commit Phase 执行 insertBefore + removeChild）
+    // 旧节点可能是占据多个 DOM 的 Fragment，也可能是没有 DOM 的空 Fragment，
+    // 所以新 DOM 按锚点插入，而不是占用旧 DOM 的位置
     pendingMutations.push({
       type: REPLACE,
       newDom,
-      oldDom,
+      oldDoms,
       parentDom,
+      getAnchor,
     })
   } else
   if (oldVNode.type === newVNode.type) {
+    if (isPortal(newVNode)) {
+      // Portal 的子节点在它自己的容器中协调，新增的子节点追加到容器末尾
+      const { container } = newVNode.props
+      newVNode.__parentDom = parentDom
+      newVNode.__children = reconcileChildren(container, getRenderedChildren(oldVNode), newVNode.props.children)
+      schedulePortalUpdate(container, oldVNode, newVNode)
+    } else
+    if (isFragment(newVNode)) {
+      // Fragment 没有自己的 DOM — 子节点直接在 parentDom 下协调
+      newVNode.__children = reconcileChildren(parentDom, getRenderedChildren(oldVNode), newVNode.props.children, getAnchor)
+    } else
     if (oldVNode.type === TEXT_ELEMENT) {
       newVNode.__dom = oldVNode.__dom
       if (oldVNode.props.nodeValue !== newVNode.props.nodeValue) {
@@ -183,11 +261,11 @@ export function reconcile(parentDom, oldVNode, newVNode, index = 0) {
       const oldProps = oldVNode.props
       const newProps = newVNode.props
 
-      // 检查是否有属性变化（跳过 children 和 key）
+      // 检查是否有属性变化（跳过 children；key / ref 不在 props 中）
       const hasPropsChanged = Object.keys(newProps).some(k =>
-        k !== 'children' && k !== 'key' && oldProps[k] !== newProps[k]
+        k !== 'children' && oldProps[k] !== newProps[k]
       ) || Object.keys(oldProps).some(k =>
-        k !== 'children' && k !== 'key' && !(k in newProps)
+        k !== 'children' && !(k in newProps)
       )
 
       if (hasPropsChanged) {
@@ -198,26 +276,335 @@ export function reconcile(parentDom, oldVNode, newVNode, index = 0) {
         })
       }
 
-      reconcileChildren(newVNode.__dom, oldVNode.props.children, newVNode.props.children)
+      if (oldVNode.ref !== newVNode.ref) {
+        // ref 换了（包括每次渲染都新建的内联回调）：先解绑旧的，再绑定新的
+        scheduleDetachRef(oldVNode.ref, newVNode.__dom)
+        scheduleAttachRef(newVNode.ref, newVNode.__dom)
+      }
+
+      if (hasDangerousHtml(newProps)) {
+        // 子节点由 innerHTML 决定：新的 innerHTML 会整体替换掉旧子节点，
+        // 只需清理旧子节点的副作用，不收集 DELETION
+        getRenderedChildren(oldVNode).forEach(cleanupEffects)
+        newVNode.__children = []
+      } else {
+        newVNode.__children = reconcileChildren(newVNode.__dom, getRenderedChildren(oldVNode), newVNode.props.children)
+      }
+
+      if (newVNode.type === 'select') {
+        // <option> 的增删在上面收集的 mutation 中提交，选中状态要在它们之后同步
+        pendingMutations.push({
+          type: UPDATE,
+          updateFn: () => { updateSelect(newVNode.__dom, oldProps, newProps) },
+        })
+      }
     }
   }
+  return newVNode
+}
+
+// ─── VNode 校验 ───────────────────────────────────────────────
+
+/**
+ * 校验一个 child 是否可以被渲染
+ *
+ * 只接受 createElement 创建的 VNode（带 $$typeof 标记）。
+ * 形如 { type, props } 的普通对象（比如来自 API 的 JSON）会被拒绝，
+ * 防止它们被当成真实 DOM 渲染出来。
+ *
+ * @param {*} vnode - 待渲染的 child（null 表示删除，直接放行）
+ */
+function assertValidChild(vnode) {
+  if (vnode == null) return
+  if (isValidElement(vnode)) {
+    assertValidType(vnode.type)
+    return
+  }
+
+  if (typeof vnode === 'function') {
+    throw new Error(
+      'Functions are not valid as a MiniReact child. ' +
+      'This may happen if you return a Component instead of <Component /> from render.'
+    )
+  }
+  if (typeof vnode === 'object') {
+    throw new Error(
+      `Objects are not valid as a MiniReact child (found: object with keys {${Object.keys(vnode).join(', ')}}). ` +
+      'Only elements created by createElement / JSX can be rendered; ' +
+      'plain objects such as JSON responses are rejected.'
+    )
+  }
+  throw new Error(`Invalid MiniReact child (found: ${typeof vnode} ${String(vnode)}).`)
+}
+
+/**
+ * 校验 VNode 的 type 是否可以渲染
+ *
+ * 合法的 type：标签名字符串、函数组件、Fragment、Portal。
+ * 最常见的非法情况是 type 为 undefined —— 通常是忘了 export 组件，
+ * 或者把默认导出和具名导出搞混了；如果不拦截，
+ * document.createElement(undefined) 会静默地创建一个 <undefined> 元素。
+ *
+ * @param {*} type - VNode 的 type
+ */
+function assertValidType(type) {
+  if (typeof type === 'string' || typeof type === 'function' || type === Fragment || type === Portal) return
+
+  const found = type === null ? 'null' : typeof type === 'object' ? 'object' : String(type)
+  const hint = type === undefined || typeof type === 'object'
+    ? ' You likely forgot to export your component from the file it\'s defined in, ' +
+      'or you might have mixed up default and named imports.'
+    : ''
+  throw new Error(
+    'Element type is invalid: expected a string (for built-in elements) or a function ' +
+    `(for components) but got: ${found}.${hint}`
+  )
+}
+
+// ─── VNode 复用检测 ───────────────────────────────────────────
+
+/**
+ * 认领一个即将被渲染的 VNode
+ *
+ * 📌 为什么需要它？
+ *   reconciler 把 __dom / __hooks / __childVNode / __parentDom 等簿记字段
+ *   直接写在 VNode 对象上。同一个元素对象如果被渲染到两个位置
+ *   （比如 const icon = <Icon />; <>{icon}{icon}</>，或者渲染到两个 root），
+ *   后一次渲染会覆盖前一次的簿记，两处 DOM 从此互相串扰。
+ *
+ *   所以已经挂载过的 VNode 再次出现在「别的位置」时，
+ *   透明地换成一个浅拷贝（共享 type / key / ref / props），
+ *   每个位置各自拥有一份簿记。
+ *
+ *   newVNode === oldVNode 表示同一位置原样复用（如 memo 返回缓存结果），
+ *   这是合法的，不需要拷贝。
+ *
+ * @param {Object|null} vnode    - 本次要渲染的 VNode
+ * @param {Object|null} oldVNode - 同一位置上一次渲染的 VNode
+ * @returns {Object|null} 可以安全写入簿记字段的 VNode
+ */
+function claimVNode(vnode, oldVNode) {
+  if (vnode == null || vnode === oldVNode) return vnode
+
+  const claimed = vnode.__mounted ? copyVNode(vnode) : vnode
+  claimed.__mounted = true
+  return claimed
+}
+
+/**
+ * 浅拷贝 VNode 的公开字段（不带任何 __ 簿记字段）
+ */
+function copyVNode(vnode) {
+  const copy = {
+    $$typeof: vnode.$$typeof,
+    type: vnode.type,
+    key: vnode.key,
+    ref: vnode.ref,
+    props: vnode.props,
+  }
+  if (vnode.__source) {
+    copy.__source = vnode.__source
+  }
+  return copy
+}
+
+// ─── 组件渲染（ErrorBoundary） ────────────────────────────────
+
+/**
+ * 调用组件并渲染它的子树：reconcile / mountVNode 与 hooks.js 的 renderComponent 共用
+ *
+ * 普通组件：renderChild(renderWithHooks(component))
+ *
+ * ErrorBoundary（见 error-boundary.js）：
+ *   1. 记下 pendingMutations 的长度，照常渲染 children
+ *   2. 子树中任何组件抛错 → 截断到记下的长度，丢弃失败子树收集的所有 mutation
+ *      （包括 PLACEMENT、卸载旧组件、排队的 effect）
+ *   3. 同一次渲染中改为渲染 fallback —— 旧子树仍在 DOM 中，由 fallback 替换
+ *
+ *   已经捕获了错误的边界直接渲染 fallback，直到 reset。
+ *   fallback 以边界的外层组件为 owner 渲染：fallback 中的错误交给外层边界。
+ *
+ * @param {Object}   component   - 组件 VNode（已在 runWithOwner 中）
+ * @param {Function} renderChild - 协调 / 挂载组件返回的子 VNode
+ * @returns {*} renderChild 的返回值
+ */
+export function renderComponentChild(component, renderChild) {
+  if (!isErrorBoundary(component)) {
+    return renderChild(renderWithHooks(component))
+  }
+
+  const errorState = getErrorState(component)
+  errorState.current = component
+
+  if (!errorState.caught) {
+    const mark = pendingMutations.length
+    try {
+      return renderChild(renderWithHooks(component))
+    } catch (error) {
+      pendingMutations.length = mark
+      captureError(component, error)
+    }
+  }
+
+  const fallback = renderFallback(component)
+  return runWithOwner(component.__parentComponent, () => renderChild(fallback))
 }
 
 // ─── 递归清理 Effects ─────────────────────────────────────────
 
 /**
- * 递归清理 VNode 树中所有组件的 useEffect cleanup
+ * 递归清理 VNode 树中所有组件的 useEffect cleanup，并解绑原生元素的 ref
  *
  * ⚠️ 只负责清理副作用，不删除 DOM（DOM 删除由 commitRoot 负责）
+ *    cleanup 同样只是收集，在 Commit Phase 执行（见 scheduleUnmount）。
+ *    唯一的例外是 Portal：它的 DOM 在另一个容器中，不会随被删除的子树一起移除，
+ *    这里为它单独收集 DELETION。
  */
 function cleanupEffects(vnode) {
   if (!vnode) return
 
   if (isComponent(vnode)) {
-    unmountComponent(vnode)
+    scheduleUnmount(vnode)
     cleanupEffects(vnode.__childVNode)
   } else {
-    vnode.props?.children?.forEach(child => cleanupEffects(child))
+    scheduleDetachRef(vnode.ref, vnode.__dom)
+    getRenderedChildren(vnode)?.forEach(child => cleanupEffects(child))
+  }
+
+  if (isPortal(vnode)) {
+    const { container } = vnode.props
+    getRenderedChildren(vnode).flatMap(getDomNodes).forEach(dom => {
+      pendingMutations.push({
+        type: DELETION,
+        dom,
+        parentDom: container,
+      })
+    })
+    schedulePortalUpdate(container, vnode, null)
+  }
+}
+
+/**
+ * 在 Commit Phase 卸载组件（执行 effect 的 cleanup）
+ *
+ * cleanup 是用户代码，不能在 Render Phase 执行：
+ * 这次渲染可能在后面抛错、被 ErrorBoundary 整个丢弃，被删除的组件其实还在。
+ */
+function scheduleUnmount(component) {
+  pendingMutations.push({
+    type: UPDATE,
+    updateFn: () => unmountComponent(component),
+  })
+}
+
+/**
+ * 排队一个 useEffect 回调（hooks.js 的 useEffect 调用）
+ *
+ * 随本次渲染的 mutation 一起提交：Commit Phase 才交给 queueMicrotask，
+ * 被丢弃的渲染不会执行它的 effect。
+ *
+ * @param {Function} effect
+ */
+export function schedulePassiveEffect(effect) {
+  pendingMutations.push({ type: EFFECT, effect })
+}
+
+// ─── Portal ───────────────────────────────────────────────────
+
+/**
+ * 挂载 Portal（见 portal.js）
+ *
+ * 子节点组装进一个 DocumentFragment，由单独的 PLACEMENT 追加到 Portal 的容器中。
+ * Portal 在 parentDom 中不占位置，返回一个空的 DocumentFragment ——
+ * 外层把它插入 parentDom 时什么也不会发生。
+ */
+function mountPortal(vnode, parentDom) {
+  const { container } = vnode.props
+  const content = document.createDocumentFragment()
+  vnode.__parentDom = parentDom
+  vnode.__children = mountChildren(vnode, content, container, noAnchor)
+
+  pendingMutations.push({
+    type: PLACEMENT,
+    dom: content,
+    parentDom: container,
+    getAnchor: noAnchor,
+  })
+  schedulePortalUpdate(container, null, vnode)
+  return document.createDocumentFragment()
+}
+
+/**
+ * 在 Commit Phase 更新容器上登记的 Portal（container.__portals）
+ *
+ * 事件委托靠它把 Portal 内的事件接回组件树（见 events.js 的 getPropagationPath）：
+ * Portal 的容器本身也要监听事件 —— Portal 内的事件不会经过 root 容器。
+ *
+ * @param {Node}        container
+ * @param {Object|null} oldPortal - 要移除的登记（首次挂载时为 null）
+ * @param {Object|null} newPortal - 要添加的登记（卸载时为 null）
+ */
+function schedulePortalUpdate(container, oldPortal, newPortal) {
+  pendingMutations.push({
+    type: UPDATE,
+    updateFn: () => {
+      container.__portals ??= new Set()
+      container.__portals.delete(oldPortal)
+      if (newPortal) {
+        container.__portals.add(newPortal)
+        setupEventDelegation(container)
+      }
+    },
+  })
+}
+
+// ─── ref ──────────────────────────────────────────────────────
+
+/**
+ * 📌 原生元素的 ref：<input ref={inputRef} />
+ *
+ *   - 对象 ref（useRef）  ：绑定时 ref.current = dom，解绑时 ref.current = null
+ *   - 回调 ref            ：绑定时 ref(dom)，解绑时 ref(null)；
+ *                          如果回调返回了函数，解绑时改为调用这个 cleanup
+ *
+ *   ref 在 Render Phase 只被「收集」，真正的读写发生在 Commit Phase：
+ *   DETACH_REF 随其他 DOM 变更按顺序执行，
+ *   ATTACH_REF 等所有 DOM 变更完成之后才执行 —— 回调拿到的节点已经在文档中了。
+ *
+ *   函数组件没有 DOM 实例，写在组件上的 ref 会被忽略。
+ */
+function scheduleAttachRef(ref, dom) {
+  if (ref == null) return
+  pendingMutations.push({ type: ATTACH_REF, ref, dom })
+}
+
+function scheduleDetachRef(ref, dom) {
+  if (ref == null || !dom) return
+  pendingMutations.push({ type: DETACH_REF, ref, dom })
+}
+
+function attachRef(ref, dom) {
+  if (typeof ref === 'function') {
+    const cleanup = ref(dom)
+    if (typeof cleanup === 'function') {
+      dom.__refCleanup = cleanup
+    }
+  } else {
+    ref.current = dom
+  }
+}
+
+function detachRef(ref, dom) {
+  if (typeof ref === 'function') {
+    const cleanup = dom.__refCleanup
+    if (cleanup) {
+      dom.__refCleanup = null
+      cleanup()
+    } else {
+      ref(null)
+    }
+  } else {
+    ref.current = null
   }
 }
 
@@ -233,105 +620,390 @@ function cleanupEffects(vnode) {
  *
  * 但不会将根节点挂载到实际的 parentDom —
  * 那一步由 PLACEMENT effect 在 Commit Phase 完成。
+ *
+ * ⚠️ vnode 必须已经过 claimVNode 认领；子节点在这里逐个认领。
+ *
+ * 📌 parentDom 是这棵子树最终所在的父 DOM：
+ *    - 组件记录它（__parentDom），之后 setState 重渲染时在这里协调
+ *    - 命名空间由它推导（<svg> 内是 SVG，<foreignObject> 内回到 HTML）
+ *    递归时原生元素的子节点以刚创建的 DOM 为父节点；
+ *    Fragment 的 DocumentFragment 只是临时容器，子节点沿用外层的 parentDom。
+ *
+ * 📌 getAnchor 同理：整棵子树由一个 PLACEMENT 插入，这里用不到它，
+ *    但子树中的组件要记下自己的锚点（__getAnchor），之后单独重渲染时使用。
+ *
+ * @param {Object}   vnode
+ * @param {Node}     parentDom   - 子树最终所在的父 DOM 节点
+ * @param {Function} [getAnchor] - 子树在 parentDom 中的插入位置
+ * @returns {Node} 创建好的 DOM 子树根节点
  */
-function mountVNode(vnode) {
+function mountVNode(vnode, parentDom, getAnchor = noAnchor) {
+  assertValidChild(vnode)
+
   if (isComponent(vnode)) {
-    setCurrentComponent(vnode)
+    vnode.__parentDom = parentDom
+    vnode.__parentComponent = getCurrentOwner()
+    vnode.__getAnchor = getAnchor
+    return runWithOwner(vnode, () => renderComponentChild(vnode, childVNode => {
+      assertValidChild(childVNode)
+      const renderedChild = claimVNode(childVNode, null)
+      const dom = mountVNode(renderedChild, parentDom, getAnchor)
+      vnode.__childVNode = renderedChild
+      // 子节点是 Fragment 时 dom 是会被清空的 DocumentFragment，不能作为 __dom
+      vnode.__dom = getComponentDom(renderedChild)
+      return dom
+    }))
+  }
 
-    let childVNode
-    try {
-      childVNode = vnode.type(vnode.props)
-    } finally {
-      clearCurrentComponent()
-    }
+  if (isPortal(vnode)) {
+    return mountPortal(vnode, parentDom)
+  }
 
-    const dom = mountVNode(childVNode)
-    vnode.__childVNode = childVNode
+  // dangerouslySetInnerHTML 的内容在 createDom 中写入，不再挂载 children
+  const usesInnerHtml = vnode.type !== TEXT_ELEMENT && hasDangerousHtml(vnode.props)
+  const dom = createDom(vnode, getChildNamespace(parentDom))
+  const childParentDom = isFragment(vnode) ? parentDom : dom
+  const childParentAnchor = isFragment(vnode) ? getAnchor : noAnchor
+  // Fragment 的 DocumentFragment 在挂载后会被清空，不能作为 __dom 记录
+  if (!isFragment(vnode)) {
     vnode.__dom = dom
-    return dom
   }
-
-  const dom = createDom(vnode)
-  vnode.__dom = dom
-  if (vnode.props.children) {
-    vnode.props.children.forEach(child => {
-      const childDom = mountVNode(child)
-      // 内部子树组装 — 这不是"挂载到真实 DOM"，
-      // 而是构建 detached 的 DOM 子树
-      dom.appendChild(childDom)
-    })
+  if (usesInnerHtml) {
+    vnode.__children = []
+  } else if (vnode.props.children) {
+    vnode.__children = mountChildren(vnode, dom, childParentDom, childParentAnchor)
+  }
+  if (vnode.type === 'select') {
+    // <select> 的 value / defaultValue 要等 <option> 挂载之后才能生效
+    updateSelect(dom, null, vnode.props)
+  }
+  if (!isFragment(vnode)) {
+    scheduleAttachRef(vnode.ref, dom)
   }
   return dom
 }
 
+/**
+ * 逐个创建子节点的 DOM，并组装到 dom 下
+ *
+ * @param {Object}   vnode             - 父 VNode
+ * @param {Node}     dom               - 组装子节点的 DOM（Fragment / Portal 时是 DocumentFragment）
+ * @param {Node}     childParentDom    - 子节点最终所在的父 DOM
+ * @param {Function} childParentAnchor - 子节点整体在 childParentDom 中的插入位置
+ * @returns {Array} 实际挂载的子 VNode 列表
+ */
+function mountChildren(vnode, dom, childParentDom, childParentAnchor) {
+  if (__DEV__) {
+    validateSiblingKeys(vnode.props.children)
+  }
+  const children = []
+  vnode.props.children.forEach((child, i) => {
+    assertValidChild(child)
+    const renderedChild = claimVNode(child, null)
+    renderedChild.__keyScope = getChildKeyScope(vnode.props.children, i)
+    renderedChild.__slot = getChildSlot(vnode.props.children, i)
+    const childAnchor = createSiblingAnchor(childParentDom, children, i, childParentAnchor)
+    const childDom = mountVNode(renderedChild, childParentDom, childAnchor)
+    // 内部子树组装 — 这不是"挂载到真实 DOM"，
+    // 而是构建 detached 的 DOM 子树
+    dom.appendChild(childDom)
+    children.push(renderedChild)
+  })
+  return children
+}
+
 // ─── 子节点协调 ─────────────────────────────────────────────
 
-function reconcileChildren(parentDom, oldChildren = [], newChildren = []) {
-  const hasKey = newChildren.some(child => child.props?.key != null) || oldChildren.some(child => child.props?.key != null)
-  if (hasKey) {
-    reconcileKeyedChildren(parentDom, oldChildren, newChildren)
-  } else {
-    reconcileUnkeyedChildren(parentDom, oldChildren, newChildren)
+/**
+ * 协调一组子节点
+ *
+ * @param {Node}     parentDom
+ * @param {Array}    oldChildren
+ * @param {Array}    newChildren
+ * @param {Function} [getParentAnchor] - 这组子节点整体的插入位置：
+ *                                       原生元素的子节点没有（追加到末尾），
+ *                                       Fragment 的子节点沿用 Fragment 自己的锚点
+ * @returns {Array} 实际挂载的子 VNode 列表（存为父节点的 __children）
+ *
+ * 📌 key 只在它所在的数组中有效（见 createElement.js 的 flattenChildren）：
+ *    两个相邻的 map 列表都有 key 0 时，它们是不同的节点。
+ *    每个挂载的子节点记下自己的作用域（__keyScope），下一次按「作用域 + key」匹配。
+ *    同样记下源码中的槽位（__slot），无 key 的 Diff 按槽位对齐。
+ */
+function reconcileChildren(parentDom, oldChildren = [], newChildren = [], getParentAnchor = noAnchor) {
+  if (__DEV__) {
+    validateSiblingKeys(newChildren)
   }
+
+  const hasKey = newChildren.some(child => child.key != null) || oldChildren.some(child => child.key != null)
+  const renderedChildren = hasKey
+    ? reconcileKeyedChildren(parentDom, oldChildren, newChildren, getParentAnchor)
+    : reconcileUnkeyedChildren(parentDom, oldChildren, newChildren, getParentAnchor)
+  renderedChildren.forEach((child, i) => {
+    child.__keyScope = getChildKeyScope(newChildren, i)
+    child.__slot = getChildSlot(newChildren, i)
+  })
+  return renderedChildren
 }
 
-// ─── 无 key 的位置对齐 Diff ──────────────────────────────────
+// ─── 插入位置（锚点） ───────────────────────────────────────
 
-function reconcileUnkeyedChildren(parentDom, oldChildren, newChildren) {
-  const maxLen = Math.max(oldChildren.length, newChildren.length)
-  for (let i = 0; i < maxLen; i++) {
-    reconcile(parentDom, oldChildren[i] ?? null, newChildren[i] ?? null, i)
+/**
+ * 📌 新节点应该插在哪里？
+ *
+ *   PLACEMENT 如果总是 appendChild，新节点只会出现在父节点末尾：
+ *
+ *     <div>{open && <Panel />}<footer /></div>
+ *
+ *   open 变成 true 时 <Panel> 会被追加到 <footer> 后面。
+ *   正确的位置是「它后面第一个兄弟的 DOM 之前」，没有这样的兄弟时才追加到末尾。
+ *
+ *   和 React 的 getHostSibling 一样，锚点在 Commit Phase 才求值：
+ *   - 后面的兄弟可能是组件 / Fragment，要展开成它实际渲染出的 DOM（getDomNodes）
+ *   - 后面的兄弟可能本身也是这次新增的、还没插入 —— 跳过它，
+ *     它插入时会排在它自己的锚点之前，也就是排在我们后面
+ *   - 后面没有已插入的兄弟时，再问外层：
+ *     Fragment / 组件的子节点沿用 Fragment / 组件自己在父 DOM 中的锚点
+ *
+ * @param {Node}     parentDom       - 兄弟节点所在的父 DOM
+ * @param {Array}    siblings        - 同一层的子 VNode 列表（Commit Phase 时已经填满）
+ * @param {number}   index           - 当前子节点在 siblings 中的位置
+ * @param {Function} getParentAnchor - 后面没有已插入的兄弟时使用的锚点
+ * @returns {Function} 返回锚点 DOM（null 表示追加到末尾）
+ */
+function createSiblingAnchor(parentDom, siblings, index, getParentAnchor) {
+  return () => {
+    for (let i = index + 1; i < siblings.length; i++) {
+      const anchor = getDomNodes(siblings[i]).find(dom => dom.parentNode === parentDom)
+      if (anchor) return anchor
+    }
+    return getParentAnchor()
   }
 }
 
+function noAnchor() {
+  return null
+}
+
+// ─── 无 key 的位置对齐 Diff ──────────────────────────────────
+
+/**
+ * 无 key 时按「源码中的槽位」对齐新旧子节点，而不是拍平后的下标
+ *
+ *   <div>{open && <Panel />}<footer /></div>
+ *
+ *   open 变成 true 后拍平的下标整体后移一格；按下标对齐会把旧 <footer> 替换成 <Panel>，
+ *   再新建一个 <footer>（组件的 state 和 DOM 都丢了）。
+ *   按槽位对齐：<footer> 对旧 <footer>，<Panel> 是新增节点（见 flattenChildren 的槽位）。
+ *
+ *   槽位在源码中的先后顺序不变，对上的节点相对顺序也不变，所以不需要 MOVE。
+ */
+function reconcileUnkeyedChildren(parentDom, oldChildren, newChildren, getParentAnchor) {
+  const oldBySlot = new Map()
+  oldChildren.forEach((child, i) => {
+    oldBySlot.set(child.__slot ?? String(i), child)
+  })
+
+  const renderedChildren = []
+  newChildren.forEach((newChild, i) => {
+    const slot = getChildSlot(newChildren, i)
+    const oldChild = oldBySlot.get(slot) ?? null
+    oldBySlot.delete(slot)
+    const getAnchor = createSiblingAnchor(parentDom, renderedChildren, i, getParentAnchor)
+    renderedChildren.push(reconcile(parentDom, oldChild, newChild, getAnchor))
+  })
+
+  // 没有对上的旧节点：它的槽位这次是空的
+  oldBySlot.forEach(oldChild => reconcile(parentDom, oldChild, null))
+  return renderedChildren
+}
+
 // ─── 有 key 的子节点 Diff ───────────────────────────────────
 
-function reconcileKeyedChildren(parentDom, oldChildren, newChildren) {
+/**
+ * 📌 只移动必须移动的节点
+ *
+ *   按新顺序逐个对齐 childNodes[i] 的做法，在把最后一行移到最前面时，
+ *   会让后面每一行都「错位一格」，1000 行的表格就是 1000 次 insertBefore。
+ *
+ *   换个角度：给每个复用的旧节点标上它原来的位置，按新顺序排成一列，
+ *
+ *     旧：A B C D E        新：E A B C D
+ *     旧位置序列：           4 0 1 2 3
+ *
+ *   其中最长递增子序列（0 1 2 3 → A B C D）的相对顺序本来就是对的，原地不动；
+ *   只有不在子序列中的节点（E）需要移动 —— 1 次。
+ *
+ *   移动（MOVE）从右往左进行，每个节点插到「后面第一个已在 DOM 中的兄弟」之前
+ *   （同 createSiblingAnchor）：处理到它时，后面的兄弟要么原地不动、要么已经移好。
+ *   新建的节点此时还没插入，会被跳过；它们的 PLACEMENT 在所有 MOVE 之后执行。
+ */
+function reconcileKeyedChildren(parentDom, oldChildren, newChildren, getParentAnchor) {
+  // 同一个 key 可能对应多个旧节点（重复 key），按出现顺序排队依次匹配，
+  // 避免 Map 覆盖导致旧节点丢失、DOM 顺序错乱
+  // key 按作用域分组：作用域 → (key → 旧节点队列)
   const oldKeyed = new Map()
   const oldUnkeyed = []
-  oldChildren.forEach(child => {
-    if (child.props?.key != null) {
-      oldKeyed.set(child.props.key, child)
+  const oldIndexes = new Map()
+  oldChildren.forEach((child, i) => {
+    oldIndexes.set(child, i)
+    if (child.key != null) {
+      const scope = child.__keyScope ?? ''
+      if (!oldKeyed.has(scope)) {
+        oldKeyed.set(scope, new Map())
+      }
+      const scoped = oldKeyed.get(scope)
+      const queue = scoped.get(child.key)
+      if (queue) {
+        queue.push(child)
+      } else {
+        scoped.set(child.key, [child])
+      }
     } else {
       oldUnkeyed.push(child)
     }
   })
   let unkeyedIndex = 0
 
-  // 第一步：递归协调每个新子节点（收集 effects）
-  newChildren.forEach(newChild => {
-    let matchedOld
-    if (newChild.props?.key != null) {
-      matchedOld = oldKeyed.get(newChild.props.key)
-      if (matchedOld) {
-        oldKeyed.delete(newChild.props.key)
-      }
-    } else {
-      matchedOld = oldUnkeyed[unkeyedIndex]
-      unkeyedIndex++
+  // 第一步：为每个新子节点找到对应的旧节点
+  const matchedOlds = newChildren.map((newChild, i) => {
+    if (newChild.key != null) {
+      return oldKeyed.get(getChildKeyScope(newChildren, i))?.get(newChild.key)?.shift() ?? null
     }
-    reconcile(parentDom, matchedOld ?? null, newChild, 0)
+    const matchedOld = oldUnkeyed[unkeyedIndex] ?? null
+    unkeyedIndex++
+    return matchedOld
+  })
+
+  // 第二步：收集 MOVE effect（只移动不在最长递增子序列中的复用节点，从右往左）
+  // 必须先于子节点自己的 PLACEMENT / REPLACE 收集 —— 见上面的说明
+  const renderedChildren = []
+  const reused = []
+  matchedOlds.forEach((matchedOld, i) => {
+    if (matchedOld) reused.push(i)
+  })
+  const stable = longestIncreasingSubsequence(reused.map(i => oldIndexes.get(matchedOlds[i])))
+  for (let k = reused.length - 1; k >= 0; k--) {
+    if (stable.has(k)) continue
+    const i = reused[k]
+    pendingMutations.push({
+      type: MOVE,
+      parentDom,
+      // Fragment / 返回 Fragment 的组件会展开为多个 DOM 节点，整组一起移动
+      getDomNodes: () => getDomNodes(renderedChildren[i]),
+      getAnchor: createSiblingAnchor(parentDom, renderedChildren, i, getParentAnchor),
+    })
+  }
+
+  // 第三步：递归协调每个新子节点（收集 effects）
+  newChildren.forEach((newChild, i) => {
+    const getAnchor = createSiblingAnchor(parentDom, renderedChildren, i, getParentAnchor)
+    renderedChildren.push(reconcile(parentDom, matchedOlds[i], newChild, getAnchor))
   })
 
   // 收集"删除不再需要的旧节点"的 effects
-  oldKeyed.forEach(staleChild => {
-    reconcile(parentDom, staleChild, null, 0)
+  oldKeyed.forEach(scoped => {
+    scoped.forEach(queue => {
+      queue.forEach(staleChild => reconcile(parentDom, staleChild, null))
+    })
   })
   for (let i = unkeyedIndex; i < oldUnkeyed.length; i++) {
-    reconcile(parentDom, oldUnkeyed[i], null, 0)
+    reconcile(parentDom, oldUnkeyed[i], null)
   }
+  return renderedChildren
+}
 
-  // 第二步：收集 REORDER effect（按新的期望顺序排列所有子节点 DOM）
-  const desiredOrder = newChildren
-    .map(child => child.__dom || getComponentDom(child))
-    .filter(Boolean)
+/**
+ * 最长递增子序列（O(n log n)）
+ *
+ * tails[k] 记录「长度为 k + 1 的递增子序列」中末尾值最小的那个位置，
+ * 每个新值二分查找它能接在哪个长度之后，同时记下前驱，最后从末尾回溯。
+ *
+ *   longestIncreasingSubsequence([4, 0, 1, 2, 3]) → Set { 1, 2, 3, 4 }
+ *
+ * @param {number[]} sequence - 互不相同的数字
+ * @returns {Set<number>} 构成子序列的位置（sequence 的下标）
+ */
+function longestIncreasingSubsequence(sequence) {
+  const tails = []
+  const predecessors = []
+  sequence.forEach((value, i) => {
+    let low = 0
+    let high = tails.length
+    while (low < high) {
+      const mid = (low + high) >> 1
+      if (sequence[tails[mid]] < value) {
+        low = mid + 1
+      } else {
+        high = mid
+      }
+    }
+    predecessors[i] = low > 0 ? tails[low - 1] : -1
+    tails[low] = i
+  })
 
-  if (desiredOrder.length > 0) {
-    pendingMutations.push({
-      type: REORDER,
-      parentDom,
-      desiredOrder,
-    })
+  const result = new Set()
+  for (let i = tails.length > 0 ? tails[tails.length - 1] : -1; i !== -1; i = predecessors[i]) {
+    result.add(i)
+  }
+  return result
+}
+
+/**
+ * 开发模式：检查同一层兄弟节点的 key
+ *
+ * - 重复 key：两个兄弟拥有相同的 key，无法区分身份
+ * - key 类型混用：key 不会被转成字符串，1 和 '1' 是不同的 key，
+ *   数据源混用数字 / 字符串 id 时，更新后节点会被意外地重新创建
+ *
+ * key 只需在自己所在的数组中唯一：按作用域分组后逐组检查（见 createElement.js 的 flattenChildren）。
+ *
+ * @param {Array} children - 新的子 VNode 列表
+ */
+function validateSiblingKeys(children) {
+  const owner = getCurrentOwner()
+  const groups = new Map()
+  children.forEach((child, i) => {
+    const scope = getChildKeyScope(children, i)
+    if (!groups.has(scope)) {
+      groups.set(scope, [])
+    }
+    groups.get(scope).push(child)
+  })
+  groups.forEach(group => validateKeyGroup(group, owner))
+}
+
+function validateKeyGroup(children, owner) {
+  const seenKeys = new Set()
+  const keyTypes = new Map()
+
+  children.forEach(child => {
+    const { key } = child
+    if (key == null) return
+
+    if (seenKeys.has(key)) {
+      warning(
+        `Encountered two children with the same key, \`${String(key)}\`. ` +
+        'Keys should be unique so that components maintain their identity across updates.',
+        owner,
+        child.__source
+      )
+    }
+    seenKeys.add(key)
+
+    if (!keyTypes.has(typeof key)) {
+      keyTypes.set(typeof key, key)
+    }
+  })
+
+  if (keyTypes.size > 1) {
+    const examples = [...keyTypes].map(([type, key]) => `${type} (e.g. ${JSON.stringify(key)})`)
+    warning(
+      `Sibling keys mix different types: ${examples.join(', ')}. ` +
+      'Keys are compared without conversion, so 1 and "1" are different keys. ' +
+      'Use keys of a single type for the same list.',
+      owner
+    )
   }
 }
 
@@ -360,6 +1032,10 @@ function reconcileKeyedChildren(parentDom, oldChildren, newChildren) {
  * 💡 为什么先赋值再重置？
  *    如果在 commitMutation 过程中触发了新的 reconcile（比如通过 setState），
  *    新的 mutations 会被收集到新的 pendingMutations 数组中，不会和当前这批混在一起。
+ *
+ * 📌 卸载时的 cleanup、ref 回调是用户代码，可能抛错（没有 ErrorBoundary 接住时）。
+ *    中途抛出会留下一半已更新的 DOM，所以先记下第一个错误，
+ *    等所有 mutation 都执行完再抛出 —— 调用方在 finally 中更新 currentVNode 等状态。
  */
 export function commitRoot() {
   // TODO: 实现 commitRoot
@@ -369,8 +1045,38 @@ export function commitRoot() {
   //   3. 遍历 mutations，调用 commitMutation
   const mutations = pendingMutations
   pendingMutations = []
+  lastCommitMoveCount = 0
   if (mutations.length === 0) return
-  mutations.forEach(mutation => commitMutation(mutation))
+
+  // MOVE 移动节点会打断焦点 / 选区 / 滚动位置，先记下来（见 captureFocusState）
+  const hasMove = mutations.some(mutation => mutation.type === MOVE)
+  const focusState = hasMove ? captureFocusState() : null
+  const scrollPositions = hasMove ? saveScrollPositions(mutations) : []
+
+  // 用 { error } 包一层：throw null / throw undefined 也要抛出
+  let uncaught = null
+  const commit = mutation => {
+    try {
+      commitMutation(mutation)
+    } catch (error) {
+      uncaught ??= { error }
+    }
+  }
+
+  // DOM 变更（含解绑旧 ref）按收集顺序执行
+  mutations.forEach(mutation => {
+    if (mutation.type !== ATTACH_REF) commit(mutation)
+  })
+
+  restoreScrollPositions(scrollPositions)
+  restoreFocusState(focusState)
+
+  // 所有节点都就位后，再绑定新的 ref
+  mutations.forEach(mutation => {
+    if (mutation.type === ATTACH_REF) commit(mutation)
+  })
+
+  if (uncaught) throw uncaught.error
 }
 
 /**
@@ -383,61 +1089,190 @@ export function commitRoot() {
  *   ┌──────────────┬────────────────────────────────────────────────┐
  *   │ Mutation Type│ DOM 操作                                       │
  *   ├──────────────┼────────────────────────────────────────────────┤
- *   │ PLACEMENT    │ mutation.parentDom.appendChild(mutation.dom)   │
- *   │              │ 将新建的 DOM 子树挂载到父节点                    │
+ *   │ PLACEMENT    │ parentDom.insertBefore(dom, getAnchor())       │
+ *   │              │ 将新建的 DOM 子树插到锚点之前（null 即末尾）   │
  *   ├──────────────┼────────────────────────────────────────────────┤
  *   │ DELETION     │ mutation.parentDom.removeChild(mutation.dom)   │
- *   │              │ 从 DOM 树中移除节点                             │
+ *   │              │ 从 DOM 树中移除节点                            │
  *   ├──────────────┼────────────────────────────────────────────────┤
- *   │ REPLACE      │ mutation.parentDom.replaceChild(                 │
- *   │              │   mutation.newDom, mutation.oldDom                 │
- *   │              │ )                                              │
- *   │              │ 用新节点替换旧节点                              │
+ *   │ REPLACE      │ parentDom.insertBefore(newDom, getAnchor())    │
+ *   │              │ oldDoms.forEach(dom => removeChild(dom))       │
+ *   │              │ 新节点插到锚点之前，再移除旧节点               │
  *   ├──────────────┼────────────────────────────────────────────────┤
- *   │ UPDATE       │ mutation.updateFn()                              │
- *   │              │ 执行预设的更新函数（更新属性 / nodeValue）       │
+ *   │ UPDATE       │ mutation.updateFn()                            │
+ *   │              │ 执行预设的更新函数（更新属性 / nodeValue）     │
  *   ├──────────────┼────────────────────────────────────────────────┤
- *   │ REORDER      │ 遍历 mutation.desiredOrder，                     │
- *   │              │ 逐个 insertBefore 确保子节点顺序正确            │
- *   │              │                                                │
- *   │              │ desiredOrder.forEach((dom, i) => {             │
- *   │              │   const current = parentDom.childNodes[i]      │
- *   │              │   if (dom !== current) {                       │
- *   │              │     parentDom.insertBefore(dom, current)       │
- *   │              │   }                                            │
+ *   │ MOVE         │ const anchor = mutation.getAnchor()            │
+ *   │              │ getDomNodes().forEach(dom => {                 │
+ *   │              │   parentDom.insertBefore(dom, anchor)          │
  *   │              │ })                                             │
+ *   │              │ 把复用的节点（整组）移到锚点之前，             │
+ *   │              │ 还没插入的新 DOM 跳过（由 PLACEMENT 负责）     │
+ *   ├──────────────┼────────────────────────────────────────────────┤
+ *   │ DETACH_REF   │ detachRef(mutation.ref, mutation.dom)          │
+ *   │ ATTACH_REF   │ attachRef(mutation.ref, mutation.dom)          │
+ *   │              │ （ATTACH_REF 由 commitRoot 放到最后统一执行）  │
+ *   ├──────────────┼────────────────────────────────────────────────┤
+ *   │ EFFECT       │ queueMicrotask(mutation.effect)                │
+ *   │              │ effect 在整个 Commit Phase 完成之后才执行      │
  *   └──────────────┴────────────────────────────────────────────────┘
  *
  * 步骤：
  *   使用 switch (mutation.type) 分发到不同的 DOM 操作
  *
+ * 📌 MOVE 打断的滚动位置由 commitRoot 在执行 mutation 之前统一记下（见 saveScrollPositions）。
+ *
  * @param {Object} mutation - 待执行的 mutation 对象
  */
 function commitMutation(mutation) {
   // TODO: 实现 commitMutation
-  // 提示：switch on mutation.type，5 个 case 对应 5 种 DOM 操作
+  // 提示：switch on mutation.type，8 个 case 对应 8 种 mutation（5 种 DOM 操作 + ref 的解绑 / 绑定 + effect）
   switch (mutation.type) {
     case PLACEMENT:
-      mutation.parentDom.appendChild(mutation.dom)
+      mutation.parentDom.insertBefore(mutation.dom, mutation.getAnchor())
       break
     case DELETION:
       mutation.parentDom.removeChild(mutation.dom)
       break
     case REPLACE:
-      mutation.parentDom.replaceChild(mutation.newDom, mutation.oldDom)
+      mutation.parentDom.insertBefore(mutation.newDom, mutation.getAnchor())
+      mutation.oldDoms.forEach(dom => mutation.parentDom.removeChild(dom))
       break
     case UPDATE:
       mutation.updateFn()
       break
-    case REORDER:
-      mutation.desiredOrder.forEach((dom, i) => {
-        const current = mutation.parentDom.childNodes[i]
-        if (dom !== current) {
-          mutation.parentDom.insertBefore(dom, current)
-        }
+    case MOVE: {
+      const anchor = mutation.getAnchor()
+      mutation.getDomNodes().forEach(dom => {
+        // 复用的组件这次渲染出了新的 DOM —— 它由子树里的 PLACEMENT / REPLACE 插入
+        if (dom.parentNode !== mutation.parentDom) return
+        mutation.parentDom.insertBefore(dom, anchor)
+        lastCommitMoveCount++
       })
       break
+    }
+    case DETACH_REF:
+      detachRef(mutation.ref, mutation.dom)
+      break
+    case ATTACH_REF:
+      attachRef(mutation.ref, mutation.dom)
+      break
+    case EFFECT:
+      queueMicrotask(mutation.effect)
+      break
     default:
       break
   }
 }
+
+// ─── 保持焦点 / 选区 / 滚动位置 ──────────────────────────────
+
+/**
+ * 📌 MOVE 会打断用户正在进行的交互
+ *
+ *   insertBefore 移动一个已经在文档中的节点，等于先移除再插入：
+ *   - 子树中获得焦点的元素失去焦点（正在输入的文本框突然失焦）
+ *   - contentEditable 中的选区丢失
+ *   - 子树中滚动过的元素回到顶部
+ *
+ *   所以 commitRoot 在执行 mutation 之前记下 activeElement、选区
+ *   和 MOVE 所在父节点中滚动过的元素，
+ *   所有 DOM 变更完成后再统一恢复（在绑定 ref 之前 ——
+ *   ref 回调里主动调用的 focus() 以它为准）。
+ */
+function captureFocusState() {
+  const element = document.activeElement
+  if (!element || element === document.body) return null
+  return { element, selection: getSelectionState(element) }
+}
+
+/**
+ * 记录元素内的选区
+ *
+ * - <input> / <textarea>：selectionStart / selectionEnd
+ *   （type="number" 等不支持选区的 input 上它们是 null）
+ * - 其他元素（contentEditable）：document 的 Selection 落在元素内部时记录它的两端
+ */
+function getSelectionState(element) {
+  if (typeof element.selectionStart === 'number') {
+    return {
+      start: element.selectionStart,
+      end: element.selectionEnd,
+      direction: element.selectionDirection,
+    }
+  }
+
+  const selection = document.getSelection()
+  if (selection?.rangeCount > 0 && element.contains(selection.anchorNode)) {
+    return {
+      anchorNode: selection.anchorNode,
+      anchorOffset: selection.anchorOffset,
+      focusNode: selection.focusNode,
+      focusOffset: selection.focusOffset,
+    }
+  }
+  return null
+}
+
+/**
+ * 恢复焦点与选区
+ *
+ * 只在焦点确实丢失时恢复：元素被删除（不在文档中）时不恢复，
+ * 焦点仍在原元素上说明它没有被移动，也不需要恢复。
+ */
+function restoreFocusState(focusState) {
+  if (!focusState) return
+  const { element, selection } = focusState
+  if (!element.isConnected || document.activeElement === element) return
+
+  // 元素已经在正确的位置上，不需要浏览器再滚动到它
+  element.focus({ preventScroll: true })
+  if (!selection) return
+
+  if ('start' in selection) {
+    element.setSelectionRange(selection.start, selection.end, selection.direction ?? undefined)
+  } else if (selection.anchorNode.isConnected && selection.focusNode.isConnected) {
+    document.getSelection().setBaseAndExtent(
+      selection.anchorNode,
+      selection.anchorOffset,
+      selection.focusNode,
+      selection.focusOffset
+    )
+  }
+}
+
+/**
+ * 记录这次提交中可能被移动的元素里所有滚动过的元素
+ *
+ * 每次提交只扫描一遍：被移动的节点都在 MOVE 的 parentDom 之下，
+ * 只遍历最外层的那些 parentDom（内层的已经包含在里面），只记下滚动位置不为 0 的元素。
+ *
+ * @param {Array} mutations - 这次提交的 mutation
+ * @returns {Array<{ element, top, left }>}
+ */
+function saveScrollPositions(mutations) {
+  const parents = new Set()
+  mutations.forEach(mutation => {
+    if (mutation.type === MOVE) parents.add(mutation.parentDom)
+  })
+
+  const scrollPositions = []
+  parents.forEach(parent => {
+    const nested = [...parents].some(other => other !== parent && other.contains(parent))
+    if (nested) return
+
+    parent.querySelectorAll('*').forEach(element => {
+      if (element.scrollTop !== 0 || element.scrollLeft !== 0) {
+        scrollPositions.push({ element, top: element.scrollTop, left: element.scrollLeft })
+      }
+    })
+  })
+  return scrollPositions
+}
+
+function restoreScrollPositions(scrollPositions) {
+  scrollPositions.forEach(({ element, top, left }) => {
+    if (element.scrollTop !== top) element.scrollTop = top
+    if (element.scrollLeft !== left) element.scrollLeft = left
+  })
+}
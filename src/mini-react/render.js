@@ -8,6 +8,21 @@
  * 2. updateProps  — 将 props 差异应用到 DOM 上（支持新增/更新/删除）
  * 3. render       — Phase 1/2 的全量挂载入口（Phase 3 开始由 reconciler 接管）
  *
+ * 命名空间（SVG / MathML）：
+ *   <svg> / <math> 及其后代必须用 createElementNS 创建，
+ *   否则它们只是没有任何渲染效果的「未知 HTML 元素」。
+ *
+ *   HTML ──<svg>──▶ SVG ──<foreignObject>──▶ HTML
+ *   HTML ──<math>─▶ MathML
+ *
+ *   reconciler 在 mountVNode 时逐层传递命名空间，
+ *   createDom 根据它决定用哪种方式创建元素；
+ *   SVG / MathML 元素的属性统一用 setAttribute 设置。
+ *
+ * 自定义元素（标签名含 "-"，如 <my-chart>）：
+ *   元素自己定义了的 property 直接赋值（可以传对象 / 数组），否则写 attribute；
+ *   自定义事件名保留大小写（见 setCustomElementProp）。
+ *
  * Phase 7 变更：
  *   事件处理从直接 addEventListener 改为通过 events.js 的事件委托系统。
  *   setProp/removeProp 中的 on* 分支需要改用 setEventHandler/removeEventHandler。
@@ -15,22 +30,83 @@
  * ============================================================
  */
 
-import { TEXT_ELEMENT } from './createElement.js'
-import { isEventProp, getEventName, setEventHandler, removeEventHandler } from './events.js'
+import { TEXT_ELEMENT, Fragment } from './createElement.js'
+import {
+  isEventProp,
+  getEventName,
+  getCustomElementEventName,
+  setEventHandler,
+  removeEventHandler,
+} from './events.js'
+import { __DEV__, warning } from './dev.js'
+
+// ─── 命名空间 ─────────────────────────────────────────────────
+
+export const HTML_NAMESPACE = 'http://www.w3.org/1999/xhtml'
+export const SVG_NAMESPACE = 'http://www.w3.org/2000/svg'
+export const MATH_NAMESPACE = 'http://www.w3.org/1998/Math/MathML'
+const XLINK_NAMESPACE = 'http://www.w3.org/1999/xlink'
+const XML_NAMESPACE = 'http://www.w3.org/XML/1998/namespace'
+
+/**
+ * 计算元素自身所在的命名空间
+ *
+ * @param {string} parentNamespace - 父节点为子节点提供的命名空间
+ * @param {string} type            - 标签名
+ * @returns {string}
+ *
+ * 示例：
+ *   getElementNamespace(HTML_NAMESPACE, 'svg')  → SVG_NAMESPACE
+ *   getElementNamespace(SVG_NAMESPACE, 'path')  → SVG_NAMESPACE
+ *   getElementNamespace(HTML_NAMESPACE, 'div')  → HTML_NAMESPACE
+ */
+export function getElementNamespace(parentNamespace, type) {
+  if (parentNamespace == null || parentNamespace === HTML_NAMESPACE) {
+    if (type === 'svg') return SVG_NAMESPACE
+    if (type === 'math') return MATH_NAMESPACE
+    return HTML_NAMESPACE
+  }
+  return parentNamespace
+}
+
+/**
+ * 计算 DOM 节点为它的子节点提供的命名空间
+ *
+ * <foreignObject> 本身是 SVG 元素，但它的内容回到 HTML。
+ *
+ * @param {Node} dom - 父 DOM 节点（root 容器或已创建的元素）
+ * @returns {string}
+ */
+export function getChildNamespace(dom) {
+  if (dom.namespaceURI === SVG_NAMESPACE && dom.localName === 'foreignObject') {
+    return HTML_NAMESPACE
+  }
+  return dom.namespaceURI ?? HTML_NAMESPACE
+}
 
 // ─── DOM 节点创建 ─────────────────────────────────────────────
 
 /**
  * 根据 VNode 创建真实 DOM 节点（不包含子节点）
  *
+ * Fragment 返回一个 DocumentFragment：子节点先组装到它里面，
+ * appendChild 时整组移动到父节点下，DocumentFragment 本身不会留在 DOM 中。
+ *
  * @param {Object} vnode - 虚拟 DOM 节点
- * @returns {HTMLElement|Text} 真实 DOM 节点
+ * @param {string} [parentNamespace] - 父节点为子节点提供的命名空间（默认 HTML）
+ * @returns {Element|Text|DocumentFragment} 真实 DOM 节点
  */
-export function createDom(vnode) {
+export function createDom(vnode, parentNamespace = HTML_NAMESPACE) {
   if (vnode.type === TEXT_ELEMENT) {
     return document.createTextNode(vnode.props.nodeValue)
   }
-  const dom = document.createElement(vnode.type)
+  if (vnode.type === Fragment) {
+    return document.createDocumentFragment()
+  }
+  const namespace = getElementNamespace(parentNamespace, vnode.type)
+  const dom = namespace === HTML_NAMESPACE
+    ? document.createElement(vnode.type)
+    : document.createElementNS(namespace, vnode.type)
   updateProps(dom, {}, vnode.props)
   return dom
 }
@@ -42,18 +118,28 @@ export function createDom(vnode) {
  *
  * 支持的属性类型：
  * - children    — 跳过，由 reconciler 单独处理
- * - className   — 映射到 dom.className
- * - style       — 对象形式，逐属性 diff
+ * - className   — 字符串 / 数组 / 对象，解析后写入 dom.className（class 为别名）
+ * - style       — 字符串或对象形式，逐属性 diff（见 updateStyle）
  * - on*         — 事件处理器（Phase 7: 通过事件委托，存储到 __eventHandlers）
- * - key         — 跳过，仅供 reconciler 使用
- * - 其他        — 通过 dom[key] 直接赋值
+ * - value / checked / defaultValue / defaultChecked
+ *                 — <input> / <textarea> / <select> 上按受控语义处理（见 updateFormControl）
+ * - 其他        — 查属性信息表，决定写 property 还是 attribute（见 getPropertyInfo）；
+ *                 自定义元素不查表（见 setCustomElementProp）
+ *
+ * key / ref 是 VNode 的顶层字段，不会出现在 props 中。
  *
  * @param {HTMLElement} dom     - 真实 DOM 节点
  * @param {Object}      oldProps - 旧属性（首次渲染时传 {}）
  * @param {Object}      newProps - 新属性
  */
 export function updateProps(dom, oldProps, newProps) {
-  const skipKeys = new Set(['children', 'key'])
+  // className / class 先解析成字符串再整体比较，不逐 key 处理
+  const skipKeys = new Set(['children', 'className', 'class'])
+  // 表单控件的 value / checked 等在其他属性（尤其是 type）之后统一处理
+  const formControl = isFormControl(dom)
+  if (formControl) {
+    FORM_CONTROL_PROPS.forEach(key => skipKeys.add(key))
+  }
 
   // 1. 删除旧属性中不再存在的
   Object.keys(oldProps).forEach(key => {
@@ -69,28 +155,859 @@ export function updateProps(dom, oldProps, newProps) {
     if (oldProps[key] === newProps[key]) return // 值相同则跳过
     setProp(dom, key, newProps[key], oldProps[key])
   })
+
+  // 3. className
+  updateClassName(dom, oldProps, newProps)
+
+  // 4. 表单控件的值
+  if (formControl) {
+    updateFormControl(dom, oldProps, newProps)
+  }
+
+  // 记录最新的 props：事件之后恢复受控值时要用到（见 restoreControlledState）
+  dom.__props = newProps
 }
 
+// ─── className ────────────────────────────────────────────────
+
 /**
- * 设置单个属性到 DOM 节点
+ * 将 className 解析为字符串（规则与 clsx 一致）
+ *
+ * - 字符串 / 数字：原样保留
+ * - 数组：递归解析每一项
+ * - 对象：取值为真的 key
+ * - null / undefined / boolean / '' / 0：忽略
+ *
+ * @param {*} value
+ * @returns {string}
+ *
+ * 示例：
+ *   resolveClassName('btn')                              → 'btn'
+ *   resolveClassName(['btn', { active: true, hidden: 0 }]) → 'btn active'
+ *   resolveClassName(['a', ['b', [null, 'c']], false])   → 'a b c'
  */
-function setProp(dom, key, value, oldValue) {
-  if (key === 'className') {
-    dom.className = value || ''
-  } else if (key === 'style') {
-    if (typeof value === 'object') {
-      // 清除旧 style 中新 style 不再包含的属性
-      if (typeof oldValue === 'object' && oldValue) {
-        Object.keys(oldValue).forEach(styleKey => {
-          if (!(styleKey in value)) {
-            dom.style[styleKey] = ''
-          }
-        })
+export function resolveClassName(value) {
+  if (!value) return ''
+  if (typeof value === 'string' || typeof value === 'number') return String(value)
+
+  const names = []
+  if (Array.isArray(value)) {
+    value.forEach(item => {
+      const name = resolveClassName(item)
+      if (name) names.push(name)
+    })
+  } else if (typeof value === 'object') {
+    Object.keys(value).forEach(name => {
+      if (value[name]) names.push(name)
+    })
+  }
+  return names.join(' ')
+}
+
+/**
+ * 更新元素的 class
+ *
+ * className 与 class 都可以使用（class 是别名，开发模式下会提示改用 className），
+ * 同时传入时以 className 为准。
+ *
+ * 数组 / 对象形式的 className 每次渲染都是新引用，
+ * 所以比较的是解析后的字符串 —— 只有字符串真正变化时才写 DOM。
+ */
+function updateClassName(dom, oldProps, newProps) {
+  if (__DEV__ && 'class' in newProps && !isCustomElement(dom)) {
+    validateDomProp('class')
+  }
+
+  const oldClassName = resolveClassName(oldProps.className ?? oldProps.class)
+  const newClassName = resolveClassName(newProps.className ?? newProps.class)
+  if (oldClassName === newClassName) return
+
+  if (!newClassName) {
+    dom.removeAttribute('class')
+  } else if (isForeignElement(dom)) {
+    // SVG 元素的 className 是只读的 SVGAnimatedString，只能写 attribute
+    dom.setAttribute('class', newClassName)
+  } else {
+    dom.className = newClassName
+  }
+}
+
+// ─── style ────────────────────────────────────────────────────
+
+/**
+ * 数字值不需要加 px 的 CSS 属性（与 React 的 isUnitlessNumber 一致）
+ *
+ *   { width: 100 }   → width: 100px
+ *   { opacity: 0.5 } → opacity: 0.5
+ *   { zIndex: 10 }   → z-index: 10
+ */
+const UNITLESS_PROPERTIES = new Set([
+  'animationIterationCount', 'aspectRatio', 'borderImageOutset', 'borderImageSlice',
+  'borderImageWidth', 'boxFlex', 'boxFlexGroup', 'boxOrdinalGroup', 'columnCount',
+  'columns', 'flex', 'flexGrow', 'flexPositive', 'flexShrink', 'flexNegative', 'flexOrder',
+  'fontWeight', 'gridArea', 'gridRow', 'gridRowEnd', 'gridRowSpan', 'gridRowStart',
+  'gridColumn', 'gridColumnEnd', 'gridColumnSpan', 'gridColumnStart', 'lineClamp',
+  'lineHeight', 'opacity', 'order', 'orphans', 'scale', 'tabSize', 'widows', 'zIndex',
+  'zoom',
+  // SVG 相关
+  'fillOpacity', 'floodOpacity', 'stopOpacity', 'strokeDasharray', 'strokeDashoffset',
+  'strokeMiterlimit', 'strokeOpacity', 'strokeWidth',
+])
+
+/**
+ * 判断属性是否为无单位属性（忽略 Webkit / Moz / ms / O 浏览器前缀）
+ */
+function isUnitlessProperty(name) {
+  const unprefixed = name.replace(/^(Webkit|Moz|ms|O)([A-Z])/, (_, prefix, letter) => letter.toLowerCase())
+  return UNITLESS_PROPERTIES.has(unprefixed)
+}
+
+/**
+ * camelCase 的 style 键 → CSS 属性名
+ *
+ *   backgroundColor → background-color
+ *   WebkitTransform → -webkit-transform
+ *   msTransform     → -ms-transform
+ *   --brand-color   → --brand-color（CSS 变量原样保留）
+ */
+function hyphenateStyleName(name) {
+  if (name.startsWith('--')) return name
+  return name
+    .replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)
+    .replace(/^ms-/, '-ms-')
+}
+
+/**
+ * 设置单条 style 声明
+ *
+ * - null / undefined / boolean / '' → 移除这条声明
+ * - 数字：非无单位属性自动加 px（0 除外；CSS 变量不加）
+ * - 'red !important' → setProperty(name, 'red', 'important')
+ *
+ * 统一使用 setProperty / removeProperty：
+ * 它们同时支持普通属性、CSS 变量（--*）和 important 优先级，
+ * 直接给 style[name] 赋值做不到后两者。
+ */
+function setStyleProperty(style, name, value) {
+  const cssName = hyphenateStyleName(name)
+
+  if (value == null || typeof value === 'boolean' || value === '') {
+    style.removeProperty(cssName)
+    return
+  }
+
+  let cssValue = typeof value === 'number' && value !== 0 && !name.startsWith('--') && !isUnitlessProperty(name)
+    ? `${value}px`
+    : String(value).trim()
+
+  let priority = ''
+  if (/\s*!important$/.test(cssValue)) {
+    cssValue = cssValue.replace(/\s*!important$/, '')
+    priority = 'important'
+  }
+  style.setProperty(cssName, cssValue, priority)
+}
+
+/**
+ * 对比新旧 style，更新 dom.style
+ *
+ * style 可以是字符串或对象，新旧值的形式可能不同：
+ *
+ *   ┌────────┬────────┬──────────────────────────────────────────┐
+ *   │ 旧值   │ 新值   │ 处理                                     │
+ *   ├────────┼────────┼──────────────────────────────────────────┤
+ *   │ 任意   │ 字符串 │ 整体替换 cssText                         │
+ *   │ 字符串 │ 对象   │ 先清空 cssText，再逐条设置               │
+ *   │ 对象   │ 对象   │ 删除旧对象独有的声明，只更新变化的声明   │
+ *   │ 任意   │ 空值   │ 清空 cssText                             │
+ *   └────────┴────────┴──────────────────────────────────────────┘
+ *
+ * @param {HTMLElement} dom
+ * @param {string|Object|null} oldStyle
+ * @param {string|Object|null} newStyle
+ */
+function updateStyle(dom, oldStyle, newStyle) {
+  const style = dom.style
+
+  if (newStyle == null || typeof newStyle !== 'object') {
+    style.cssText = newStyle ?? ''
+    return
+  }
+
+  const previous = oldStyle != null && typeof oldStyle === 'object' ? oldStyle : {}
+  if (previous !== oldStyle) {
+    style.cssText = ''
+  }
+
+  Object.keys(previous).forEach(name => {
+    if (!(name in newStyle)) {
+      setStyleProperty(style, name, null)
+    }
+  })
+  Object.keys(newStyle).forEach(name => {
+    if (previous[name] !== newStyle[name]) {
+      setStyleProperty(style, name, newStyle[name])
+    }
+  })
+}
+
+// ─── dangerouslySetInnerHTML ─────────────────────────────────
+
+/**
+ * 📌 dangerouslySetInnerHTML={{ __html: '<p>...</p>' }}
+ *
+ *   直接把 HTML 字符串写入 innerHTML，用于嵌入服务端渲染的 markdown、
+ *   经过清洗的富文本等。名字刻意写得很长：内容不会被转义，
+ *   传入未清洗的用户输入就是 XSS。
+ *
+ *   包一层 { __html } 对象也是刻意的 —— 普通字符串不能被误传进来，
+ *   必须显式构造这个对象。
+ *
+ *   这样的元素的子节点由 innerHTML 决定，reconciler 不会再协调它的 children，
+ *   所以 children 和 dangerouslySetInnerHTML 不能同时出现。
+ */
+const DANGEROUS_HTML = 'dangerouslySetInnerHTML'
+
+function getDangerousHtml(value) {
+  return value?.__html
+}
+
+/**
+ * 校验并判断元素是否使用了 dangerouslySetInnerHTML（Render Phase 调用）
+ *
+ * @param {Object} props - 原生元素的 props
+ * @returns {boolean} true 表示 children 由 innerHTML 决定，reconciler 应跳过子节点协调
+ */
+export function hasDangerousHtml(props) {
+  const value = props[DANGEROUS_HTML]
+  if (value == null) return false
+
+  if (typeof value !== 'object' || !('__html' in value)) {
+    throw new Error(
+      '`props.dangerouslySetInnerHTML` must be in the form `{__html: ...}`.'
+    )
+  }
+  if (props.children?.length > 0) {
+    throw new Error('Can only set one of `children` or `props.dangerouslySetInnerHTML`.')
+  }
+  return true
+}
+
+// ─── 表单控件：受控与非受控 ──────────────────────────────────
+
+/**
+ * 📚 受控组件（controlled component）
+ *
+ *   <input value={text} onChange={e => setText(e.target.value)} />
+ *
+ *   value 来自 state，DOM 中显示的值必须始终等于它。
+ *   用户输入会直接改掉 DOM 的值，如果 state 没有跟着变
+ *   （没有 onChange，或者 onChange 拒绝了这次输入），
+ *   就要把 DOM 恢复成 prop —— 否则输入框里的内容和 state 就分叉了。
+ *
+ *   所以受控的 value / checked 不能只在 prop 变化时写入：
+ *   每次更新、每次 input / change 事件之后，都和 DOM 的当前值比较，不同才写入
+ *   （无条件写入相同的 value 会让光标跳到末尾）。
+ *
+ *   ┌──────────────────────────────┬─────────────────────────────────────────┐
+ *   │ prop                         │ 处理                                    │
+ *   ├──────────────────────────────┼─────────────────────────────────────────┤
+ *   │ value / checked              │ 受控：挂载、更新、事件之后都与 DOM 同步 │
+ *   │ defaultValue / defaultChecked│ 非受控：只提供初始值，不覆盖用户的修改  │
+ *   └──────────────────────────────┴─────────────────────────────────────────┘
+ *
+ *   <select> 的 value 要等 <option> 都挂载之后才能生效，
+ *   由 reconciler 在子节点之后调用 updateSelect；multiple 时 value 是数组。
+ *
+ *   事件之后的恢复由 events.js 调用 restoreControlledState 完成。
+ */
+const FORM_CONTROL_PROPS = ['value', 'defaultValue', 'checked', 'defaultChecked']
+
+/**
+ * 判断 DOM 节点是否为需要受控处理的表单控件（<input> / <textarea> / <select>）
+ *
+ * @param {Node} dom
+ * @returns {boolean}
+ */
+export function isFormControl(dom) {
+  if (dom?.namespaceURI !== HTML_NAMESPACE) return false
+  const tag = dom.localName
+  return tag === 'input' || tag === 'textarea' || tag === 'select'
+}
+
+function isCheckable(dom) {
+  return dom.type === 'checkbox' || dom.type === 'radio'
+}
+
+/**
+ * 更新 <input> / <textarea> 的值（<select> 见 updateSelect）
+ */
+function updateFormControl(dom, oldProps, newProps) {
+  if (dom.localName === 'select') return
+
+  if (newProps.defaultValue !== oldProps.defaultValue) {
+    dom.defaultValue = newProps.defaultValue == null ? '' : String(newProps.defaultValue)
+  }
+  if (newProps.defaultChecked !== oldProps.defaultChecked) {
+    dom.defaultChecked = Boolean(newProps.defaultChecked)
+  }
+
+  if (newProps.value != null) {
+    syncControlledValue(dom, newProps.value)
+  } else if (oldProps.value != null) {
+    // 受控 → 非受控：清空，而不是留下上一次的值
+    dom.value = ''
+  }
+
+  if (newProps.checked != null) {
+    syncControlledChecked(dom, newProps.checked)
+  } else if (oldProps.checked != null) {
+    dom.checked = false
+  }
+
+  trackValue(dom)
+}
+
+function syncControlledValue(dom, value) {
+  const stringValue = String(value)
+  // <input type="number"> 输入 "1." 时 DOM 的值可能是 "1."，与 prop 1 等价，不能覆盖
+  const isSame = dom.type === 'number' && dom.value !== ''
+    ? Number(dom.value) === Number(value)
+    : dom.value === stringValue
+  if (!isSame) {
+    dom.value = stringValue
+  }
+}
+
+function syncControlledChecked(dom, checked) {
+  if (dom.checked !== Boolean(checked)) {
+    dom.checked = Boolean(checked)
+  }
+}
+
+/**
+ * 同步 <select> 的选中项（在 <option> 挂载 / 更新之后调用）
+ *
+ * - value 不为空：受控，每次都同步
+ * - 首次挂载（oldProps 为 null）：使用 defaultValue
+ * - multiple 切换时：按 defaultValue 重新选择（与 React 一致）
+ *
+ * @param {HTMLSelectElement} dom
+ * @param {Object|null} oldProps - 首次挂载时传 null
+ * @param {Object}      newProps
+ */
+export function updateSelect(dom, oldProps, newProps) {
+  const { value, defaultValue } = newProps
+  const multiple = Boolean(newProps.multiple)
+
+  if (value != null) {
+    selectOptions(dom, value, multiple)
+  } else if (oldProps == null) {
+    if (defaultValue != null) {
+      selectOptions(dom, defaultValue, multiple)
+    }
+  } else if (Boolean(oldProps.multiple) !== multiple) {
+    selectOptions(dom, defaultValue ?? (multiple ? [] : ''), multiple)
+  }
+}
+
+/**
+ * 按 value 选中 <option>
+ *
+ * 单选时没有匹配项则选中第一个未禁用的 option，
+ * 保证 DOM 的选中状态总是确定的（而不是停留在用户上一次的选择）。
+ */
+function selectOptions(dom, value, multiple) {
+  const options = Array.from(dom.options)
+
+  if (multiple) {
+    const selectedValues = new Set((Array.isArray(value) ? value : [value]).map(String))
+    options.forEach(option => {
+      const selected = selectedValues.has(option.value)
+      if (option.selected !== selected) {
+        option.selected = selected
       }
-      Object.assign(dom.style, value)
+    })
+    return
+  }
+
+  const stringValue = String(value)
+  const match = options.find(option => option.value === stringValue) ?? options.find(option => !option.disabled)
+  if (match && !match.selected) {
+    match.selected = true
+  }
+}
+
+/**
+ * 事件之后把表单控件恢复成 props 描述的值（由 events.js 调用）
+ *
+ * 调用时 handler 触发的 setState 已经同步 flush：
+ * state 接受了这次输入，dom.__props 里就是新值，这里什么也不用做；
+ * state 没有变化，DOM 就被恢复成原来的 prop。
+ *
+ * 📌 radio：选中一个 radio 会让浏览器自动取消同组的另一个，
+ *   所以同组（同一 form 内、name 相同）的 radio 都要恢复，并重新记录它们的值。
+ *
+ * @param {Element} dom - 事件的 target
+ */
+export function restoreControlledState(dom) {
+  if (!isFormControl(dom)) return
+
+  if (dom.localName === 'select') {
+    const props = dom.__props
+    if (props?.value != null) {
+      selectOptions(dom, props.value, Boolean(props.multiple))
+    }
+    return
+  }
+
+  const group = dom.type === 'radio' && dom.name ? getRadioGroup(dom) : [dom]
+  group.forEach(node => {
+    const props = node.__props
+    if (props?.value != null) {
+      syncControlledValue(node, props.value)
+    }
+    if (props?.checked != null) {
+      syncControlledChecked(node, props.checked)
+    }
+    trackValue(node)
+  })
+}
+
+function getRadioGroup(dom) {
+  const scope = dom.form ?? dom.getRootNode()
+  return Array.from(scope.querySelectorAll('input[type="radio"]')).filter(
+    node => node.name === dom.name && node.form === dom.form
+  )
+}
+
+// ─── 表单控件：值追踪 ────────────────────────────────────────
+
+/**
+ * 📌 onChange 的触发时机
+ *
+ *   原生 change 事件在文本框失焦时才触发，而 React 的 onChange 在每次输入时触发；
+ *   checkbox / radio 的原生 click 和 change 又会各触发一次。
+ *
+ *   events.js 在 input / change / click 之后调用 updateValueTracker：
+ *   只有 DOM 的值和上次记录的不同，才派发 onChange —— 每次真正的修改恰好一次。
+ *   框架自己写入 DOM 之后会重新记录（trackValue），不会被当成用户的修改。
+ */
+function getTrackedValue(dom) {
+  return isCheckable(dom) ? String(dom.checked) : dom.value
+}
+
+function trackValue(dom) {
+  dom.__trackedValue = getTrackedValue(dom)
+}
+
+/**
+ * 检查 <input> / <textarea> 的值自上次记录以来是否被修改，并记录新值
+ *
+ * @param {HTMLInputElement|HTMLTextAreaElement} dom
+ * @returns {boolean} true 表示值发生了变化，应派发 onChange
+ */
+export function updateValueTracker(dom) {
+  const value = getTrackedValue(dom)
+  if (value === dom.__trackedValue) return false
+  dom.__trackedValue = value
+  return true
+}
+
+// ─── HTML 属性信息表 ──────────────────────────────────────────
+
+/**
+ * 📚 property 还是 attribute？
+ *
+ *   DOM 元素上的「属性」有两套：
+ *   - attribute：写在 HTML 里的 <label for="x" data-id="1">，通过 setAttribute 设置
+ *   - property ：DOM 对象上的 JS 字段，如 input.value / input.checked
+ *
+ *   dom[key] = value 只对「有同名 property」的 prop 生效：
+ *   data-*、aria-*、role 这类只有 attribute 的 prop 写成 property 后会被丢弃，
+ *   htmlFor、tabIndex 这类 React 命名的 prop 也需要映射到真实的 attribute 名。
+ *
+ *   每个 prop 按类型处理：
+ *
+ *   ┌────────────────────┬─────────────────────────────────┬──────────────────────┐
+ *   │ 类型               │ 设置                            │ 移除                 │
+ *   ├────────────────────┼─────────────────────────────────┼──────────────────────┤
+ *   │ PROPERTY           │ dom[name] = value               │ dom[name] = ''       │
+ *   │ BOOLEAN_PROPERTY   │ dom[name] = !!value             │ dom[name] = false    │
+ *   │ ATTRIBUTE          │ setAttribute(name, value)       │ removeAttribute      │
+ *   │ BOOLEANISH_STRING  │ true / false → 'true' / 'false' │ removeAttribute      │
+ *   │ BOOLEAN            │ 真值 → setAttribute(name, '')   │ removeAttribute      │
+ *   │ OVERLOADED_BOOLEAN │ true → ''，字符串原样写入       │ removeAttribute      │
+ *   │ NUMERIC            │ 数字转字符串写入                │ removeAttribute      │
+ *   │ POSITIVE_NUMERIC   │ 同上，但必须 ≥ 1                │ removeAttribute      │
+ *   └────────────────────┴─────────────────────────────────┴──────────────────────┘
+ *
+ *   「移除」不只发生在 prop 被删掉时：值为 null / undefined、
+ *   布尔类 attribute 的 false、数字类 attribute 的 NaN 等无效值，也都会移除 attribute，
+ *   而不是把 "false" / "NaN" 这样的字符串写进 DOM（见 shouldRemoveAttribute）。
+ *
+ *   表中没有的 prop 一律按同名 ATTRIBUTE 处理（如 id、title、data-*、aria-*、role）。
+ */
+const PROPERTY = 'PROPERTY'
+const BOOLEAN_PROPERTY = 'BOOLEAN_PROPERTY'
+const ATTRIBUTE = 'ATTRIBUTE'
+const BOOLEANISH_STRING = 'BOOLEANISH_STRING'
+const BOOLEAN = 'BOOLEAN'
+const OVERLOADED_BOOLEAN = 'OVERLOADED_BOOLEAN'
+const NUMERIC = 'NUMERIC'
+const POSITIVE_NUMERIC = 'POSITIVE_NUMERIC'
+
+/**
+ * prop 名 → { type, name }（name 为 property 名或 attribute 名）
+ */
+const propertyInfos = new Map()
+
+function defineProperties(type, propNames, toName = propName => propName.toLowerCase()) {
+  propNames.forEach(propName => {
+    propertyInfos.set(propName, { type, name: toName(propName) })
+  })
+}
+
+// 与用户交互状态绑定的 prop：attribute 只是初始值，必须写 property
+defineProperties(PROPERTY, ['value', 'defaultValue'], propName => propName)
+defineProperties(BOOLEAN_PROPERTY, ['checked', 'defaultChecked', 'multiple', 'muted', 'selected'], propName => propName)
+
+// 布尔 attribute：出现即为 true，与值无关（disabled="false" 仍然是禁用）
+defineProperties(BOOLEAN, [
+  'allowFullScreen', 'async', 'autoFocus', 'autoPlay', 'controls', 'default', 'defer',
+  'disabled', 'disablePictureInPicture', 'disableRemotePlayback', 'formNoValidate',
+  'hidden', 'inert', 'itemScope', 'loop', 'noModule', 'noValidate', 'open', 'playsInline',
+  'readOnly', 'required', 'reversed', 'scoped', 'seamless',
+])
+
+// 取值为字符串 "true" / "false" 的 attribute：false 有意义，不能当作移除
+defineProperties(BOOLEANISH_STRING, ['contentEditable', 'draggable', 'spellCheck'])
+
+// true 时是布尔 attribute，也可以取字符串值：<a download="file.txt">
+defineProperties(OVERLOADED_BOOLEAN, ['capture', 'download'])
+
+// 数字 attribute：NaN 视为无效；POSITIVE_NUMERIC 还要求 ≥ 1（如 <textarea rows={0}> 无效）
+defineProperties(NUMERIC, ['rowSpan', 'start'])
+defineProperties(POSITIVE_NUMERIC, ['cols', 'rows', 'size', 'span'])
+
+// React 中 camelCase、HTML 中全小写的 attribute
+defineProperties(ATTRIBUTE, [
+  'accessKey', 'autoCapitalize', 'autoComplete', 'autoCorrect', 'cellPadding', 'cellSpacing',
+  'charSet', 'classID', 'colSpan', 'contextMenu', 'controlsList',
+  'crossOrigin', 'dateTime', 'encType', 'enterKeyHint', 'fetchPriority', 'formAction',
+  'formEncType', 'formMethod', 'formTarget', 'frameBorder', 'hrefLang', 'inputMode',
+  'itemID', 'itemProp', 'itemRef', 'itemType', 'marginHeight', 'marginWidth', 'maxLength',
+  'mediaGroup', 'minLength', 'popoverTarget', 'popoverTargetAction', 'referrerPolicy',
+  'srcDoc', 'srcLang', 'srcSet', 'tabIndex', 'useMap',
+])
+
+// 名字完全不同的 attribute
+const ATTRIBUTE_ALIASES = {
+  htmlFor: 'for',
+  acceptCharset: 'accept-charset',
+  httpEquiv: 'http-equiv',
+}
+defineProperties(ATTRIBUTE, Object.keys(ATTRIBUTE_ALIASES), propName => ATTRIBUTE_ALIASES[propName])
+
+/**
+ * 查询 prop 的处理方式
+ *
+ * @param {string} propName - JSX 中的 prop 名
+ * @returns {{ type: string, name: string }}
+ *
+ * 示例：
+ *   getPropertyInfo('htmlFor')   → { type: ATTRIBUTE, name: 'for' }
+ *   getPropertyInfo('disabled')  → { type: BOOLEAN,   name: 'disabled' }
+ *   getPropertyInfo('value')     → { type: PROPERTY,  name: 'value' }
+ *   getPropertyInfo('data-id')   → { type: ATTRIBUTE, name: 'data-id' }
+ */
+function getPropertyInfo(propName) {
+  return propertyInfos.get(propName) ?? { type: ATTRIBUTE, name: propName }
+}
+
+/**
+ * 判断这个值是否意味着「不应该有这个 attribute」
+ *
+ * 示例：
+ *   disabled={false}   → true（布尔 attribute 出现即为 true，只能移除）
+ *   id={null}          → true
+ *   title={false}      → true（不会写入字符串 "false"）
+ *   aria-hidden={false}→ false（data-* / aria-* 的 "false" 有意义）
+ *   rows={0}           → true（POSITIVE_NUMERIC 必须 ≥ 1）
+ *   onFoo={() => {}}   → true（函数 / Symbol 无法序列化为 attribute）
+ */
+function shouldRemoveAttribute(key, { type }, value) {
+  if (value == null) return true
+  if (typeof value === 'function' || typeof value === 'symbol') return true
+
+  switch (type) {
+    case BOOLEAN:
+      return !value
+    case OVERLOADED_BOOLEAN:
+      return value === false
+    case NUMERIC:
+      return isNaN(value)
+    case POSITIVE_NUMERIC:
+      return isNaN(value) || value < 1
+    case BOOLEANISH_STRING:
+      return false
+    default:
+      // 普通 attribute：布尔值没有意义（data-* / aria-* 除外，它们的 "true" / "false" 是合法取值）
+      return typeof value === 'boolean' && !/^(data|aria)-/.test(key)
+  }
+}
+
+function setHtmlProp(dom, key, value) {
+  const info = getPropertyInfo(key)
+  const { type, name } = info
+
+  if (type === PROPERTY || type === BOOLEAN_PROPERTY) {
+    if (value == null) {
+      removeHtmlProp(dom, key)
     } else {
-      dom.style.cssText = value || ''
+      dom[name] = type === BOOLEAN_PROPERTY ? Boolean(value) : value
     }
+    return
+  }
+
+  if (shouldRemoveAttribute(key, info, value)) {
+    dom.removeAttribute(name)
+  } else if (type === BOOLEAN || (type === OVERLOADED_BOOLEAN && value === true)) {
+    dom.setAttribute(name, '')
+  } else {
+    dom.setAttribute(name, String(value))
+  }
+}
+
+function removeHtmlProp(dom, key) {
+  const { type, name } = getPropertyInfo(key)
+  if (type === PROPERTY) {
+    dom[name] = ''
+  } else if (type === BOOLEAN_PROPERTY) {
+    dom[name] = false
+  } else {
+    dom.removeAttribute(name)
+  }
+}
+
+// ─── 开发模式：未知 / 大小写错误的 prop ──────────────────────
+
+/**
+ * 小写形式 → 正确的 prop 名，用于提示大小写写错的 prop
+ *
+ *   tabindex → tabIndex、readonly → readOnly、class → className、for → htmlFor
+ */
+const possibleStandardNames = new Map([
+  ['class', 'className'],
+  ['for', 'htmlFor'],
+])
+propertyInfos.forEach((_, propName) => {
+  if (propName !== propName.toLowerCase()) {
+    possibleStandardNames.set(propName.toLowerCase(), propName)
+  }
+})
+
+// 在 setProp 中单独处理、不走属性信息表的 prop
+const SPECIAL_PROPS = new Set(['className', 'style', DANGEROUS_HTML])
+
+// 每个 prop 名只警告一次
+const warnedProperties = new Set()
+
+/**
+ * 检查 HTML 元素上的 prop 名（仅开发模式）
+ *
+ * - 大小写写错的已知 prop：tabindex → "Did you mean `tabIndex`?"
+ * - 全小写的事件名：onclick → 提示使用 camelCase（onClick）
+ * - 表中没有的 camelCase prop：HTML attribute 不区分大小写，
+ *   fooBar 最终会变成 foobar，多半是拼写错误或把组件 prop 传到了 DOM 上
+ *
+ * @param {string} key - prop 名
+ */
+function validateDomProp(key) {
+  if (warnedProperties.has(key)) return
+
+  let message = null
+  const standardName = possibleStandardNames.get(key.toLowerCase())
+  if (isEventProp(key)) {
+    if (key.length > 2 && key[2] === key[2].toLowerCase()) {
+      message =
+        `Invalid event handler property \`${key}\`. ` +
+        'MiniReact events use the camelCase naming convention, for example `onClick`.'
+    }
+  } else if (standardName && standardName !== key) {
+    message = `Invalid DOM property \`${key}\`. Did you mean \`${standardName}\`?`
+  } else if (
+    !propertyInfos.has(key) &&
+    !SPECIAL_PROPS.has(key) &&
+    key !== key.toLowerCase() &&
+    !/^(data|aria)-/.test(key)
+  ) {
+    message =
+      `MiniReact does not recognize the \`${key}\` prop on a DOM element. ` +
+      `If you intentionally want it to appear in the DOM as a custom attribute, ` +
+      `spell it as lowercase \`${key.toLowerCase()}\` instead.`
+  }
+
+  if (message) {
+    warnedProperties.add(key)
+    warning(message)
+  }
+}
+
+// ─── SVG / MathML 属性名映射 ──────────────────────────────────
+
+/**
+ * JSX 中用 camelCase 书写、但 DOM 中是 kebab-case 的 SVG 属性
+ *
+ *   strokeWidth → stroke-width
+ *
+ * viewBox、preserveAspectRatio 等本身就是 camelCase 的属性不在此列，原样设置。
+ */
+const KEBAB_CASE_SVG_ATTRIBUTES = new Set([
+  'accentHeight', 'alignmentBaseline', 'arabicForm', 'baselineShift', 'capHeight',
+  'clipPath', 'clipRule', 'colorInterpolation', 'colorInterpolationFilters',
+  'colorProfile', 'colorRendering', 'dominantBaseline', 'enableBackground',
+  'fillOpacity', 'fillRule', 'floodColor', 'floodOpacity', 'fontFamily', 'fontSize',
+  'fontSizeAdjust', 'fontStretch', 'fontStyle', 'fontVariant', 'fontWeight',
+  'glyphName', 'glyphOrientationHorizontal', 'glyphOrientationVertical', 'horizAdvX',
+  'horizOriginX', 'imageRendering', 'letterSpacing', 'lightingColor', 'markerEnd',
+  'markerMid', 'markerStart', 'overlinePosition', 'overlineThickness', 'paintOrder',
+  'panose1', 'pointerEvents', 'renderingIntent', 'shapeRendering', 'stopColor',
+  'stopOpacity', 'strikethroughPosition', 'strikethroughThickness', 'strokeDasharray',
+  'strokeDashoffset', 'strokeLinecap', 'strokeLinejoin', 'strokeMiterlimit',
+  'strokeOpacity', 'strokeWidth', 'textAnchor', 'textDecoration', 'textRendering',
+  'transformOrigin', 'underlinePosition', 'underlineThickness', 'unicodeBidi',
+  'unicodeRange', 'unitsPerEm', 'vAlphabetic', 'vHanging', 'vIdeographic',
+  'vMathematical', 'vectorEffect', 'vertAdvY', 'vertOriginX', 'vertOriginY',
+  'wordSpacing', 'writingMode', 'xHeight',
+])
+
+/**
+ * 带命名空间前缀的属性：xlinkHref → xlink:href（需要 setAttributeNS）
+ */
+const NAMESPACED_ATTRIBUTES = {
+  xlinkActuate: [XLINK_NAMESPACE, 'xlink:actuate'],
+  xlinkArcrole: [XLINK_NAMESPACE, 'xlink:arcrole'],
+  xlinkHref: [XLINK_NAMESPACE, 'xlink:href'],
+  xlinkRole: [XLINK_NAMESPACE, 'xlink:role'],
+  xlinkShow: [XLINK_NAMESPACE, 'xlink:show'],
+  xlinkTitle: [XLINK_NAMESPACE, 'xlink:title'],
+  xlinkType: [XLINK_NAMESPACE, 'xlink:type'],
+  xmlBase: [XML_NAMESPACE, 'xml:base'],
+  xmlLang: [XML_NAMESPACE, 'xml:lang'],
+  xmlSpace: [XML_NAMESPACE, 'xml:space'],
+}
+
+/**
+ * 判断 DOM 节点是否为 SVG / MathML 等非 HTML 元素
+ *
+ * 这类元素的大部分 DOM property 是只读的（如 svg.viewBox 是 SVGAnimatedRect），
+ * 必须通过 setAttribute 设置属性。
+ */
+function isForeignElement(dom) {
+  return dom.namespaceURI !== HTML_NAMESPACE
+}
+
+/**
+ * 以 attribute 方式设置 SVG / MathML 元素的属性
+ *
+ * null / undefined 表示移除属性；其他值统一转为字符串
+ * （SVG 中 focusable="false" 这类字符串形式的布尔值很常见，不能把 false 当作移除）。
+ */
+function setForeignAttribute(dom, name, value) {
+  const namespaced = NAMESPACED_ATTRIBUTES[name]
+
+  if (value == null) {
+    removeForeignAttribute(dom, name)
+  } else if (namespaced) {
+    dom.setAttributeNS(namespaced[0], namespaced[1], String(value))
+  } else {
+    dom.setAttribute(toSvgAttributeName(name), String(value))
+  }
+}
+
+function removeForeignAttribute(dom, name) {
+  const namespaced = NAMESPACED_ATTRIBUTES[name]
+
+  if (namespaced) {
+    dom.removeAttributeNS(namespaced[0], namespaced[1].split(':')[1])
+  } else {
+    dom.removeAttribute(toSvgAttributeName(name))
+  }
+}
+
+function toSvgAttributeName(name) {
+  return KEBAB_CASE_SVG_ATTRIBUTES.has(name)
+    ? name.replace(/[A-Z]|\d+$/g, part => `-${part.toLowerCase()}`)
+    : name
+}
+
+// ─── 自定义元素 ───────────────────────────────────────────────
+
+/**
+ * 📚 自定义元素（Custom Elements / Web Components）
+ *
+ *   <my-chart data={points} theme="dark" onPointSelected={handleSelect} />
+ *
+ *   自定义元素的 prop 不在任何属性表里，React 的命名规则也不适用，按以下规则处理：
+ *
+ *   ┌──────────────────────────────┬──────────────────────────────────────────┐
+ *   │ prop                         │ 处理                                     │
+ *   ├──────────────────────────────┼──────────────────────────────────────────┤
+ *   │ 元素定义了同名 property      │ dom[key] = value（对象、数组原样传入）   │
+ *   │ 其他                         │ attribute：true → ''，false / null 移除   │
+ *   │ on* 且值为函数               │ 事件，事件名保留大小写                   │
+ *   └──────────────────────────────┴──────────────────────────────────────────┘
+ *
+ *   「定义了 property」用 key in dom 判断：元素类已经 customElements.define 时，
+ *   createElement 会立即完成升级，property 访问器在原型链上可以查到。
+ *
+ *   className / style / dangerouslySetInnerHTML 与普通 HTML 元素一样处理。
+ */
+function isCustomElement(dom) {
+  return dom.namespaceURI === HTML_NAMESPACE && dom.localName.includes('-')
+}
+
+function setCustomElementProp(dom, key, value, oldValue) {
+  if (isEventProp(key) && (typeof value === 'function' || typeof oldValue === 'function')) {
+    const eventName = getCustomElementEventName(key, dom)
+    if (typeof value === 'function') {
+      setEventHandler(dom, eventName, value)
+    } else {
+      removeEventHandler(dom, eventName)
+    }
+    return
+  }
+
+  if (key in dom) {
+    dom[key] = value ?? null
+  } else if (value == null || value === false || typeof value === 'function' || typeof value === 'symbol') {
+    dom.removeAttribute(key)
+  } else {
+    dom.setAttribute(key, value === true ? '' : String(value))
+  }
+}
+
+/**
+ * 设置单个属性到 DOM 节点
+ */
+function setProp(dom, key, value, oldValue) {
+  if (__DEV__ && !isForeignElement(dom) && !isCustomElement(dom)) {
+    validateDomProp(key)
+  }
+
+  if (key === DANGEROUS_HTML) {
+    // 对象每次渲染都是新的，只有 __html 变化时才重新写入 innerHTML
+    const html = getDangerousHtml(value)
+    if (html !== getDangerousHtml(oldValue)) {
+      dom.innerHTML = html ?? ''
+    }
+  } else if (isForeignElement(dom) && key !== 'style' && !isEventProp(key)) {
+    setForeignAttribute(dom, key, value)
+  } else if (key === 'style') {
+    updateStyle(dom, oldValue, value)
+  } else if (isCustomElement(dom)) {
+    setCustomElementProp(dom, key, value, oldValue)
   } else if (isEventProp(key)) {
     // TODO (Phase 7): 改用事件委托
     //
@@ -114,8 +1031,7 @@ function setProp(dom, key, value, oldValue) {
     }
     setEventHandler(dom, eventName, value)
   } else {
-    // nodeValue、id 等常规属性
-    dom[key] = value
+    setHtmlProp(dom, key, value)
   }
 }
 
@@ -123,10 +1039,14 @@ function setProp(dom, key, value, oldValue) {
  * 从 DOM 节点移除单个属性
  */
 function removeProp(dom, key, oldValue) {
-  if (key === 'className') {
-    dom.className = ''
+  if (key === DANGEROUS_HTML) {
+    dom.innerHTML = ''
+  } else if (isForeignElement(dom) && key !== 'style' && !isEventProp(key)) {
+    removeForeignAttribute(dom, key)
   } else if (key === 'style') {
     dom.style.cssText = ''
+  } else if (isCustomElement(dom)) {
+    setCustomElementProp(dom, key, undefined, oldValue)
   } else if (isEventProp(key)) {
     // TODO (Phase 7): 改用事件委托的移除方式
     //
@@ -140,7 +1060,7 @@ function removeProp(dom, key, oldValue) {
     const eventName = getEventName(key)
     removeEventHandler(dom, eventName)
   } else {
-    dom[key] = ''
+    removeHtmlProp(dom, key)
   }
 }
 
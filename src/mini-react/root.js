@@ -27,8 +27,8 @@
  * ============================================================
  */
 
-import { reconcile, commitRoot } from './reconciler.js'
-import { setupEventDelegation } from './events.js'
+import { reconcile, commitRoot, discardPendingMutations } from './reconciler.js'
+import { setupEventDelegation, teardownEventDelegation } from './events.js'
 
 // 每个容器最多对应一个 root，WeakMap 避免内存泄漏
 const roots = new WeakMap()
@@ -65,23 +65,37 @@ export function createRoot(container) {
     render(nextVNode) {
       // ── Phase 1: Render Phase ──
       // reconcile 遍历 VNode 树，收集 effects（不操作 DOM）
-      reconcile(this.container, this.currentVNode, nextVNode)
+      // 返回值是实际挂载的 VNode（nextVNode 已在别处挂载时是它的副本）
+      // 没有被 ErrorBoundary 接住的错误：丢弃半途收集的 mutation，DOM 保持原样
+      let renderedVNode
+      try {
+        renderedVNode = reconcile(this.container, this.currentVNode, nextVNode)
+      } catch (error) {
+        discardPendingMutations()
+        throw error
+      }
 
       // ── Phase 2: Commit Phase ──
       // commitRoot 批量执行所有 DOM 操作
-      commitRoot()
-
-      this.currentVNode = nextVNode
+      // cleanup 抛出的错误在所有 DOM 操作完成后才抛出，此时 DOM 已是 renderedVNode
+      try {
+        commitRoot()
+      } finally {
+        this.currentVNode = renderedVNode
+      }
     },
     unmount() {
       // ── Phase 1: Render Phase ──
       reconcile(this.container, this.currentVNode, null)
 
       // ── Phase 2: Commit Phase ──
-      commitRoot()
-
-      this.currentVNode = null
-      roots.delete(this.container)
+      try {
+        commitRoot()
+      } finally {
+        this.currentVNode = null
+        roots.delete(this.container)
+        teardownEventDelegation(this.container)
+      }
     }
   }
   roots.set(container, root)
@@ -0,0 +1,257 @@
+/**
+ * ============================================================
+ * Children Tests — cloneElement / isValidElement / Children
+ * ============================================================
+ *
+ * @vitest-environment jsdom
+ *
+ * 测试覆盖：
+ *  1. isValidElement
+ *  2. cloneElement：合并 props、替换 / 保留 children、不修改原节点
+ *  3. Children.map / forEach / count / only / toArray
+ *  4. Children.map 的 key 前缀（含所在数组的路径）可安全交给 keyed reconciler
+ *
+ * ============================================================
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { createElement, cloneElement, isValidElement, TEXT_ELEMENT } from '../src/mini-react/createElement.js'
+import { Children } from '../src/mini-react/children.js'
+import { createRoot } from '../src/mini-react/root.js'
+
+let container
+
+beforeEach(() => {
+  container = document.createElement('div')
+  document.body.appendChild(container)
+  return () => {
+    document.body.removeChild(container)
+  }
+})
+
+// ════════════════════════════════════════════════════════════════
+// isValidElement
+// ════════════════════════════════════════════════════════════════
+
+describe('isValidElement', () => {
+  it('createElement 的返回值应被识别为元素', () => {
+    expect(isValidElement(createElement('div'))).toBe(true)
+    expect(isValidElement(createElement(() => null))).toBe(true)
+  })
+
+  it('非元素值应返回 false', () => {
+    expect(isValidElement(null)).toBe(false)
+    expect(isValidElement('text')).toBe(false)
+    expect(isValidElement(42)).toBe(false)
+    expect(isValidElement([createElement('div')])).toBe(false)
+  })
+})
+
+// ════════════════════════════════════════════════════════════════
+// cloneElement
+// ════════════════════════════════════════════════════════════════
+
+describe('cloneElement', () => {
+  it('应浅合并新 props 并保留原 children', () => {
+    const original = createElement('button', { className: 'btn', type: 'button' }, 'OK')
+    const clone = cloneElement(original, { className: 'btn primary' })
+
+    expect(clone.type).toBe('button')
+    expect(clone.props.className).toBe('btn primary')
+    expect(clone.props.type).toBe('button')
+    expect(clone.props.children).toEqual(original.props.children)
+  })
+
+  it('传入 children 参数时应替换原 children', () => {
+    const original = createElement('p', null, 'old')
+    const clone = cloneElement(original, null, 'new', createElement('b'))
+
+    expect(clone.props.children).toHaveLength(2)
+    expect(clone.props.children[0].props.nodeValue).toBe('new')
+    expect(clone.props.children[1].type).toBe('b')
+  })
+
+  it('props.children 也可以替换 children', () => {
+    const clone = cloneElement(createElement('p', null, 'old'), { children: ['x', 'y'] })
+    expect(clone.props.children.map(child => child.props.nodeValue)).toEqual(['x', 'y'])
+  })
+
+  it('不应修改原 VNode', () => {
+    const original = createElement('div', { id: 'a' }, 'child')
+    cloneElement(original, { id: 'b' }, 'other')
+
+    expect(original.props.id).toBe('a')
+    expect(original.props.children[0].props.nodeValue).toBe('child')
+  })
+
+  it('应能覆盖 key', () => {
+    const clone = cloneElement(createElement('li', { key: 'a' }), { key: 'b' })
+    expect(clone.key).toBe('b')
+  })
+
+  it('显式传入 key: undefined 时应保留原 key，null 则清除', () => {
+    const original = createElement('li', { key: 'a' })
+    expect(cloneElement(original, { key: undefined }).key).toBe('a')
+    expect(cloneElement(original, { key: null }).key).toBeNull()
+  })
+
+  it('显式传入 ref: undefined 时应保留原 ref，传入新 ref 时替换', () => {
+    const ref = { current: null }
+    const other = { current: null }
+    const original = createElement('input', { ref })
+
+    expect(cloneElement(original, { ref: undefined }).ref).toBe(ref)
+    expect(cloneElement(original, { ref: other }).ref).toBe(other)
+  })
+
+  it('传入非元素时应抛错', () => {
+    expect(() => cloneElement('text')).toThrow(/must be a MiniReact element/)
+  })
+})
+
+// ════════════════════════════════════════════════════════════════
+// Children
+// ════════════════════════════════════════════════════════════════
+
+describe('Children', () => {
+  const items = () => [
+    createElement('li', { key: 'a' }, 'A'),
+    createElement('li', null, 'B'),
+    [createElement('li', { key: 'c' }, 'C')],
+  ]
+
+  describe('Children.map', () => {
+    it('应拍平 children 并收集回调返回值', () => {
+      const result = Children.map(items(), child => cloneElement(child, { className: 'item' }))
+
+      expect(result).toHaveLength(3)
+      expect(result.every(child => child.props.className === 'item')).toBe(true)
+    })
+
+    it('应根据原 key 或位置生成带前缀的 key', () => {
+      const result = Children.map(items(), child => child)
+      expect(result.map(child => child.key)).toEqual(['.$a', '.1', '.2:$c'])
+    })
+
+    it('两个 key 相同的 map 列表应得到不同的 key，渲染时不警告也不互相复用', () => {
+      const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {})
+      const list = (a, b) => createElement('ul', null,
+        a.map(id => createElement('li', { key: id }, `a-${id}`)),
+        b.map(id => createElement('li', { key: id }, `b-${id}`))
+      )
+      const mapped = (a, b) => createElement('ol', null, Children.map(list(a, b).props.children, child => child))
+
+      expect(Children.map(list([0, 1], [0, 1]).props.children, child => child).map(child => child.key))
+        .toEqual(['.0:$0', '.0:$1', '.1:$0', '.1:$1'])
+
+      const root = createRoot(container)
+      root.render(mapped([0, 1], [0]))
+      const [, , b0] = container.querySelectorAll('li')
+      root.render(mapped([0], [0]))
+
+      const lis = Array.from(container.querySelectorAll('li'))
+      expect(lis.map(li => li.textContent)).toEqual(['a-0', 'b-0'])
+      expect(lis[1]).toBe(b0)
+      expect(errorSpy).not.toHaveBeenCalled()
+      errorSpy.mockRestore()
+    })
+
+    it('回调返回多个节点时应生成嵌套 key', () => {
+      const result = Children.map([createElement('dt', { key: 'x' })], child => [child, createElement('dd')])
+      expect(result.map(child => child.key)).toEqual(['.$x/.$x', '.$x/.1'])
+    })
+
+    it('回调返回 null 的节点应被过滤', () => {
+      const result = Children.map(items(), (child, index) => (index === 1 ? null : child))
+      expect(result).toHaveLength(2)
+    })
+
+    it('children 为 null / undefined 时原样返回', () => {
+      expect(Children.map(null, child => child)).toBeNull()
+      expect(Children.map(undefined, child => child)).toBeUndefined()
+    })
+
+    it('输出应能安全交给 keyed reconciler（给每个 Tab 注入 props）', () => {
+      function Tabs({ active, children }) {
+        return createElement(
+          'ul',
+          null,
+          Children.map(children, (tab, index) => cloneElement(tab, { className: index === active ? 'active' : '' }))
+        )
+      }
+
+      const tabs = (active, order) =>
+        createElement(Tabs, { active }, order.map(id => createElement('li', { key: id }, id)))
+
+      const root = createRoot(container)
+      root.render(tabs(0, ['a', 'b', 'c']))
+      const liA = container.querySelector('li')
+
+      root.render(tabs(1, ['c', 'a', 'b']))
+
+      const lis = container.querySelectorAll('li')
+      expect(Array.from(lis).map(li => li.textContent)).toEqual(['c', 'a', 'b'])
+      expect(lis[1]).toBe(liA)
+      expect(lis[1].className).toBe('active')
+    })
+  })
+
+  describe('Children.forEach', () => {
+    it('应按顺序遍历拍平后的 children', () => {
+      const fn = vi.fn()
+      Children.forEach(items(), fn)
+
+      expect(fn).toHaveBeenCalledTimes(3)
+      expect(fn.mock.calls.map(([child, index]) => [child.props.children[0].props.nodeValue, index])).toEqual([
+        ['A', 0],
+        ['B', 1],
+        ['C', 2],
+      ])
+    })
+  })
+
+  describe('Children.count', () => {
+    it('应统计拍平并过滤空值后的数量', () => {
+      expect(Children.count(items())).toBe(3)
+      expect(Children.count([null, false, 'text', [createElement('i')]])).toBe(2)
+      expect(Children.count(null)).toBe(0)
+    })
+  })
+
+  describe('Children.only', () => {
+    it('只有一个元素时应返回它（数组或单个节点均可）', () => {
+      const child = createElement('span')
+      expect(Children.only(child)).toBe(child)
+      expect(Children.only([child])).toBe(child)
+    })
+
+    it('多个或零个子节点时应抛错', () => {
+      expect(() => Children.only([createElement('a'), createElement('b')])).toThrow(/single MiniReact element/)
+      expect(() => Children.only([])).toThrow(/single MiniReact element/)
+      expect(() => Children.only('text')).toThrow(/single MiniReact element/)
+    })
+  })
+
+  describe('Children.toArray', () => {
+    it('应返回带 key 前缀的扁平数组，文本包装为 TEXT_ELEMENT', () => {
+      const result = Children.toArray(['x', [createElement('b', { key: 'k' })]])
+
+      expect(result[0].type).toBe(TEXT_ELEMENT)
+      expect(result.map(child => child.key)).toEqual(['.0', '.1:$k'])
+    })
+
+    it('children 为空时返回空数组', () => {
+      expect(Children.toArray(undefined)).toEqual([])
+    })
+  })
+})
+
+describe('$$typeof 标记', () => {
+  it('isValidElement 应拒绝未带标记的伪造对象', () => {
+    expect(isValidElement({ type: 'div', props: { children: [] } })).toBe(false)
+  })
+
+  it('cloneElement 的结果也应带有标记', () => {
+    expect(isValidElement(cloneElement(createElement('div')))).toBe(true)
+  })
+})
@@ -13,14 +13,18 @@
  *  5. 函数组件的 reconcile 更新
  *  6. 函数组件的卸载
  *  7. 多层嵌套组件
+ *  8. defaultProps 与 propTypes 校验（合并后仍保留 key / ref 警告）
+ *  9. 渲染错误附带组件栈
+ * 10. 组件返回 null / 文本 / 数组
  *
  * ============================================================
  */
 
-import { describe, it, expect, beforeEach } from 'vitest'
+import { describe, it, expect, beforeEach, vi } from 'vitest'
 import { createElement, TEXT_ELEMENT } from '../src/mini-react/createElement.js'
 import { createRoot } from '../src/mini-react/root.js'
 import { reconcile } from '../src/mini-react/reconciler.js'
+import { useState } from '../src/mini-react/hooks.js'
 
 // ─── 测试辅助 ────────────────────────────────────────────────
 
@@ -378,3 +382,323 @@ describe('Phase 4: 函数式组件', () => {
     })
   })
 })
+
+// ─── defaultProps / propTypes ────────────────────────────────
+
+describe('defaultProps 与 propTypes', () => {
+  let errorSpy
+
+  beforeEach(() => {
+    errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {})
+    return () => errorSpy.mockRestore()
+  })
+
+  const isNumber = (props, name, component) =>
+    typeof props[name] === 'number'
+      ? null
+      : new Error(`Invalid prop \`${name}\` supplied to \`${component}\`, expected a number.`)
+
+  it('未传入或值为 undefined 的 prop 应使用 defaultProps', () => {
+    function Button({ size, label }) {
+      return createElement('button', { className: size }, label)
+    }
+    Button.defaultProps = { size: 'md', label: 'OK' }
+
+    createRoot(container).render(
+      createElement('div', null, createElement(Button, { size: undefined }), createElement(Button, { label: null }))
+    )
+
+    const [first, second] = container.querySelectorAll('button')
+    expect(first.className).toBe('md')
+    expect(first.textContent).toBe('OK')
+    expect(second.textContent).toBe('')
+  })
+
+  it('不应修改 vnode.props', () => {
+    function Label({ text }) {
+      return createElement('span', null, text)
+    }
+    Label.defaultProps = { text: 'default' }
+    const vnode = createElement(Label)
+
+    createRoot(container).render(vnode)
+    expect(container.textContent).toBe('default')
+    expect('text' in vnode.props).toBe(false)
+  })
+
+  it('setState 触发的重渲染也应合并 defaultProps', async () => {
+    let setCount
+    function Counter({ step }) {
+      const [count, _setCount] = useState(0)
+      setCount = _setCount
+      return createElement('span', null, count * step)
+    }
+    Counter.defaultProps = { step: 10 }
+
+    createRoot(container).render(createElement(Counter))
+    setCount(2)
+    await Promise.resolve()
+
+    expect(container.textContent).toBe('20')
+  })
+
+  it('合并 defaultProps 后读取 props.key / props.ref 仍应返回 undefined 并警告', () => {
+    let seen
+    function Item(props) {
+      seen = [props.key, props.ref]
+      return createElement('li', null, props.label)
+    }
+    Item.defaultProps = { label: 'item' }
+
+    createRoot(container).render(createElement(Item, { key: 'a', ref: { current: null } }))
+
+    expect(container.textContent).toBe('item')
+    expect(seen).toEqual([undefined, undefined])
+    expect(errorSpy.mock.calls.map(([message]) => message)).toEqual([
+      expect.stringMatching(/Item: `key` is not a prop/),
+      expect.stringMatching(/Item: `ref` is not a prop/),
+    ])
+  })
+
+  it('propTypes 校验失败时应输出带组件名的警告', () => {
+    function Counter({ count }) {
+      return createElement('span', null, count)
+    }
+    Counter.propTypes = { count: isNumber }
+
+    createRoot(container).render(createElement(Counter, { count: 'one' }))
+
+    expect(errorSpy).toHaveBeenCalledTimes(1)
+    expect(errorSpy.mock.calls[0][0]).toMatch(/Failed prop type: Invalid prop `count` supplied to `Counter`/)
+    expect(errorSpy.mock.calls[0][0]).toMatch(/in Counter/)
+  })
+
+  it('propTypes 应在 defaultProps 合并之后校验', () => {
+    function Counter({ count }) {
+      return createElement('span', null, count)
+    }
+    Counter.defaultProps = { count: 0 }
+    Counter.propTypes = { count: isNumber }
+
+    createRoot(container).render(createElement(Counter))
+    expect(errorSpy).not.toHaveBeenCalled()
+  })
+
+  it('每次渲染都会校验，但相同的失败信息只警告一次', () => {
+    const validator = vi.fn(isNumber)
+    function Total({ value }) {
+      return createElement('span', null, value)
+    }
+    Total.propTypes = { value: validator }
+
+    const root = createRoot(container)
+    root.render(createElement(Total, { value: 'a' }))
+    root.render(createElement(Total, { value: 'a' }))
+
+    expect(validator).toHaveBeenCalledTimes(2)
+    expect(errorSpy).toHaveBeenCalledTimes(1)
+  })
+
+  it('validator 抛出异常也视为校验失败', () => {
+    function Broken() {
+      return createElement('i')
+    }
+    Broken.propTypes = {
+      data: () => {
+        throw new Error('boom')
+      },
+    }
+
+    createRoot(container).render(createElement('div', null, createElement(Broken)))
+    expect(errorSpy.mock.calls[0][0]).toMatch(/Failed prop type: boom/)
+  })
+})
+
+// ─── 渲染错误的组件栈 ────────────────────────────────────────
+
+describe('渲染错误的组件栈', () => {
+  function App({ children }) {
+    return createElement('main', null, children)
+  }
+  function List({ children }) {
+    return createElement('ul', null, children)
+  }
+
+  const renderAndCatch = vnode => {
+    try {
+      createRoot(container).render(vnode)
+    } catch (error) {
+      return error
+    }
+    throw new Error('expected render to throw')
+  }
+
+  it('应保留原始错误，并附加 "in Counter > in List > in App" 组件栈', () => {
+    const original = new TypeError('count is not defined')
+    function Counter() {
+      throw original
+    }
+
+    const error = renderAndCatch(createElement(App, null, createElement(List, null, createElement(Counter))))
+
+    expect(error).toBe(original)
+    expect(error.message).toBe('count is not defined')
+    expect(error.componentStack).toBe('in Counter > in List > in App')
+  })
+
+  it('组件抛错时不应被 "Hook call order changed" 错误覆盖', () => {
+    let shouldThrow = false
+    function Counter() {
+      const [count] = useState(0)
+      if (shouldThrow) throw new Error('render failed')
+      const [step] = useState(1)
+      return createElement('span', null, count + step)
+    }
+
+    const root = createRoot(container)
+    root.render(createElement(Counter))
+    shouldThrow = true
+
+    expect(() => root.render(createElement(Counter))).toThrow('render failed')
+  })
+
+  it('组件抛错后 Hook 上下文应被重置，后续渲染不受影响', () => {
+    function Broken() {
+      useState(0)
+      throw new Error('boom')
+    }
+    function Fine() {
+      const [text] = useState('ok')
+      return createElement('p', null, text)
+    }
+
+    expect(() => createRoot(container).render(createElement(Broken))).toThrow('boom')
+
+    const other = document.createElement('div')
+    createRoot(other).render(createElement(Fine))
+    expect(other.textContent).toBe('ok')
+  })
+
+  it('Hook 数量变化的错误也应带有组件栈', () => {
+    let extra = false
+    function Toggle() {
+      useState(0)
+      if (extra) useState(1)
+      return createElement('i')
+    }
+
+    const root = createRoot(container)
+    root.render(createElement(App, null, createElement(Toggle)))
+    extra = true
+
+    try {
+      root.render(createElement(App, null, createElement(Toggle)))
+      throw new Error('expected render to throw')
+    } catch (error) {
+      expect(error.message).toMatch(/Hook call order changed/)
+      expect(error.componentStack).toBe('in Toggle > in App')
+    }
+  })
+
+  it('type 为 undefined 时应给出清晰的错误信息', () => {
+    const components = {}
+    const error = renderAndCatch(createElement(App, null, createElement(components.Missing)))
+
+    expect(error.message).toMatch(/Element type is invalid: .* but got: undefined\. You likely forgot to export your component/)
+    expect(error.componentStack).toBe('in App')
+    expect(container.querySelector('undefined')).toBeNull()
+  })
+
+  it('type 为对象等非法值时也应报错', () => {
+    expect(() => createRoot(container).render(createElement({ default: App }))).toThrow(/but got: object/)
+  })
+})
+
+describe('组件返回值', () => {
+  const flushMicrotasks = () => new Promise(resolve => setTimeout(resolve, 10))
+
+  it('返回 null / undefined / boolean 时不渲染任何内容', () => {
+    const Nothing = () => null
+    const Missing = () => undefined
+    const Flag = () => false
+
+    createRoot(container).render(
+      createElement('div', null, createElement(Nothing), createElement(Missing), createElement(Flag))
+    )
+    expect(container.innerHTML).toBe('<div></div>')
+  })
+
+  it('返回字符串 / 数字时渲染为文本', () => {
+    const Label = ({ text }) => text
+    const Count = () => 42
+
+    createRoot(container).render(createElement('p', null, createElement(Label, { text: 'total: ' }), createElement(Count)))
+    expect(container.innerHTML).toBe('<p>total: 42</p>')
+  })
+
+  it('返回数组时渲染为多个兄弟节点', () => {
+    const Cells = () => [createElement('td', { key: 'a' }, 'A'), createElement('td', { key: 'b' }, 'B')]
+
+    createRoot(container).render(createElement('tr', null, createElement(Cells)))
+    expect(container.innerHTML).toBe('<tr><td>A</td><td>B</td></tr>')
+  })
+
+  it('数组中缺少 key 时应警告', () => {
+    const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {})
+    const Items = () => [createElement('li'), createElement('li')]
+
+    createRoot(container).render(createElement('ul', null, createElement(Items)))
+    expect(errorSpy.mock.calls[0][0]).toMatch(/unique "key" prop\. Check the render method of `Items`/)
+    errorSpy.mockRestore()
+  })
+
+  it('在 null / 文本 / 数组 / 元素之间切换时应保留 Hook 状态', async () => {
+    let setMode
+    let renders = 0
+    function Shape() {
+      const [mode, _setMode] = useState('null')
+      const [id] = useState(() => ++renders)
+      setMode = _setMode
+      switch (mode) {
+        case 'text':
+          return `text-${id}`
+        case 'array':
+          return [createElement('b', { key: 1 }, id), createElement('i', { key: 2 }, id)]
+        case 'element':
+          return createElement('span', null, `element-${id}`)
+        default:
+          return null
+      }
+    }
+
+    createRoot(container).render(createElement('div', null, createElement(Shape)))
+    const div = container.firstChild
+    expect(div.innerHTML).toBe('')
+
+    setMode('text')
+    await flushMicrotasks()
+    expect(div.innerHTML).toBe('text-1')
+
+    setMode('array')
+    await flushMicrotasks()
+    expect(div.innerHTML).toBe('<b>1</b><i>1</i>')
+
+    setMode('element')
+    await flushMicrotasks()
+    expect(div.innerHTML).toBe('<span>element-1</span>')
+
+    setMode('null')
+    await flushMicrotasks()
+    expect(div.innerHTML).toBe('')
+
+    setMode('array')
+    await flushMicrotasks()
+    expect(div.innerHTML).toBe('<b>1</b><i>1</i>')
+    expect(renders).toBe(1)
+  })
+
+  it('返回对象等非法值时仍应报错', () => {
+    const Bad = () => ({ type: 'div', props: {} })
+    expect(() => createRoot(container).render(createElement(Bad))).toThrow(/Objects are not valid as a MiniReact child/)
+  })
+})
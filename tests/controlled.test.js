@@ -0,0 +1,331 @@
+/**
+ * ============================================================
+ * Controlled Form Tests — 受控 / 非受控表单控件
+ * ============================================================
+ *
+ * @vitest-environment jsdom
+ *
+ * 测试覆盖：
+ *  1. 受控 <input>：state 不变时输入被恢复，onChange 在每次输入时触发
+ *  2. checkbox / radio 的 checked（含同组 radio 的恢复）
+ *  3. <textarea> 的 value
+ *  4. <select> 的 value / defaultValue / multiple
+ *  5. defaultValue / defaultChecked 只提供初始值
+ *  6. 输入法组合输入期间不触发 onChange、不恢复
+ *
+ * ============================================================
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { createElement } from '../src/mini-react/createElement.js'
+import { createRoot } from '../src/mini-react/root.js'
+import { useState } from '../src/mini-react/hooks.js'
+
+let container
+let root
+
+beforeEach(() => {
+  container = document.createElement('div')
+  document.body.appendChild(container)
+  root = createRoot(container)
+  return () => {
+    root.unmount()
+    document.body.removeChild(container)
+  }
+})
+
+/**
+ * 模拟用户输入：直接改 DOM 的值，再派发 input 事件
+ */
+function typeInto(dom, value) {
+  dom.value = value
+  dom.dispatchEvent(new Event('input', { bubbles: true }))
+}
+
+function fire(dom, type) {
+  dom.dispatchEvent(new Event(type, { bubbles: true }))
+}
+
+// ─── <input value> ───────────────────────────────────────────
+
+describe('受控 input', () => {
+  it('没有 onChange 时输入应被恢复成 prop', () => {
+    root.render(createElement('input', { value: 'fixed' }))
+    const input = container.firstChild
+
+    typeInto(input, 'changed')
+    expect(input.value).toBe('fixed')
+  })
+
+  it('onChange 更新 state 后 DOM 应保留新值', () => {
+    let latest
+    function Field() {
+      const [text, setText] = useState('')
+      latest = text
+      return createElement('input', { value: text, onChange: e => setText(e.target.value) })
+    }
+    root.render(createElement(Field))
+    const input = container.firstChild
+
+    typeInto(input, 'abc')
+    expect(latest).toBe('abc')
+    expect(input.value).toBe('abc')
+  })
+
+  it('onChange 拒绝输入时应恢复成原来的 state', () => {
+    function Digits() {
+      const [text, setText] = useState('12')
+      return createElement('input', {
+        value: text,
+        onChange: e => {
+          if (/^\d*$/.test(e.target.value)) setText(e.target.value)
+        },
+      })
+    }
+    root.render(createElement(Digits))
+    const input = container.firstChild
+
+    typeInto(input, '12a')
+    expect(input.value).toBe('12')
+
+    typeInto(input, '123')
+    expect(input.value).toBe('123')
+  })
+
+  it('onChange 应在每次输入时触发，失焦时的原生 change 不重复触发', () => {
+    const onChange = vi.fn()
+    root.render(createElement('input', { onChange }))
+    const input = container.firstChild
+
+    typeInto(input, 'a')
+    typeInto(input, 'ab')
+    fire(input, 'change')
+    expect(onChange).toHaveBeenCalledTimes(2)
+  })
+
+  it('外层元素的 onChange 也应收到冒泡的 change', () => {
+    const onChange = vi.fn()
+    root.render(createElement('form', { onChange }, createElement('input', {})))
+
+    typeInto(container.querySelector('input'), 'x')
+    expect(onChange).toHaveBeenCalledOnce()
+  })
+
+  it('prop 不变但 DOM 被修改时，重渲染应把 DOM 同步回 prop', () => {
+    root.render(createElement('input', { value: 'a', title: '1' }))
+    const input = container.firstChild
+
+    input.value = 'typed'
+    root.render(createElement('input', { value: 'a', title: '2' }))
+    expect(input.value).toBe('a')
+  })
+})
+
+// ─── checkbox / radio ────────────────────────────────────────
+
+describe('checked', () => {
+  it('受控 checkbox 在 state 不变时应恢复勾选状态', () => {
+    const onChange = vi.fn()
+    root.render(createElement('input', { type: 'checkbox', checked: false, onChange }))
+    const checkbox = container.firstChild
+
+    checkbox.click()
+    expect(onChange).toHaveBeenCalledOnce()
+    expect(checkbox.checked).toBe(false)
+  })
+
+  it('onChange 切换 state 后应保持勾选', () => {
+    function Toggle() {
+      const [on, setOn] = useState(false)
+      return createElement('input', { type: 'checkbox', checked: on, onChange: e => setOn(e.target.checked) })
+    }
+    root.render(createElement(Toggle))
+    const checkbox = container.firstChild
+
+    checkbox.click()
+    expect(checkbox.checked).toBe(true)
+    checkbox.click()
+    expect(checkbox.checked).toBe(false)
+  })
+
+  it('受控 radio 组被点击时应恢复整组的选中状态', () => {
+    root.render(
+      createElement(
+        'form',
+        null,
+        createElement('input', { type: 'radio', name: 'size', value: 's', checked: true }),
+        createElement('input', { type: 'radio', name: 'size', value: 'm', checked: false })
+      )
+    )
+    const [small, medium] = container.querySelectorAll('input')
+
+    medium.click()
+    expect(small.checked).toBe(true)
+    expect(medium.checked).toBe(false)
+  })
+
+  it('非受控 radio 组中每次切换都应触发 onChange', () => {
+    const onChange = vi.fn()
+    root.render(
+      createElement(
+        'div',
+        { onChange },
+        createElement('input', { type: 'radio', name: 'g', value: 'a', defaultChecked: true }),
+        createElement('input', { type: 'radio', name: 'g', value: 'b' })
+      )
+    )
+    const [a, b] = container.querySelectorAll('input')
+
+    b.click()
+    a.click()
+    expect(onChange).toHaveBeenCalledTimes(2)
+    expect(a.checked).toBe(true)
+  })
+})
+
+// ─── textarea ────────────────────────────────────────────────
+
+describe('textarea', () => {
+  it('应支持受控 value 与 defaultValue', () => {
+    root.render(createElement('textarea', { value: 'hello' }))
+    const textarea = container.firstChild
+    expect(textarea.value).toBe('hello')
+
+    typeInto(textarea, 'hello!')
+    expect(textarea.value).toBe('hello')
+
+    root.render(createElement('div', null, createElement('textarea', { defaultValue: 'draft' })))
+    const uncontrolled = container.querySelector('textarea')
+    expect(uncontrolled.value).toBe('draft')
+    typeInto(uncontrolled, 'edited')
+    expect(uncontrolled.value).toBe('edited')
+  })
+})
+
+// ─── select ──────────────────────────────────────────────────
+
+describe('select', () => {
+  const options = ['a', 'b', 'c'].map(value => createElement('option', { key: value, value }, value.toUpperCase()))
+
+  it('value 应在 option 挂载后生效，并随 prop 更新', () => {
+    root.render(createElement('select', { value: 'b' }, options))
+    const select = container.firstChild
+    expect(select.value).toBe('b')
+
+    root.render(createElement('select', { value: 'c' }, options))
+    expect(select.value).toBe('c')
+  })
+
+  it('用户选择后 state 不变时应恢复成 prop', () => {
+    const onChange = vi.fn()
+    root.render(createElement('select', { value: 'a', onChange }, options))
+    const select = container.firstChild
+
+    select.value = 'c'
+    fire(select, 'change')
+    expect(onChange).toHaveBeenCalledOnce()
+    expect(select.value).toBe('a')
+  })
+
+  it('defaultValue 只在挂载时生效', () => {
+    root.render(createElement('select', { defaultValue: 'c' }, options))
+    const select = container.firstChild
+    expect(select.value).toBe('c')
+
+    select.value = 'a'
+    root.render(createElement('select', { defaultValue: 'b' }, options))
+    expect(select.value).toBe('a')
+  })
+
+  it('multiple 时 value 为数组', () => {
+    root.render(createElement('select', { multiple: true, value: ['a', 'c'] }, options))
+    const select = container.firstChild
+    expect(Array.from(select.selectedOptions).map(option => option.value)).toEqual(['a', 'c'])
+
+    root.render(createElement('select', { multiple: true, value: ['b'] }, options))
+    expect(Array.from(select.selectedOptions).map(option => option.value)).toEqual(['b'])
+  })
+
+  it('新增 option 后仍应选中 value 对应的项', () => {
+    root.render(createElement('select', { value: 'd' }, options))
+    const select = container.firstChild
+
+    root.render(
+      createElement('select', { value: 'd' }, [...options, createElement('option', { key: 'd', value: 'd' }, 'D')])
+    )
+    expect(select.value).toBe('d')
+  })
+})
+
+// ─── 非受控 ──────────────────────────────────────────────────
+
+describe('defaultValue / defaultChecked', () => {
+  it('只提供初始值，用户的修改不会被恢复', () => {
+    root.render(
+      createElement(
+        'div',
+        null,
+        createElement('input', { defaultValue: 'init' }),
+        createElement('input', { type: 'checkbox', defaultChecked: true })
+      )
+    )
+    const [text, checkbox] = container.querySelectorAll('input')
+    expect(text.value).toBe('init')
+    expect(checkbox.checked).toBe(true)
+
+    typeInto(text, 'edited')
+    checkbox.click()
+    expect(text.value).toBe('edited')
+    expect(checkbox.checked).toBe(false)
+  })
+
+  it('更新 defaultValue 不应覆盖用户已修改的值', () => {
+    root.render(createElement('input', { defaultValue: 'a' }))
+    const input = container.firstChild
+
+    typeInto(input, 'typed')
+    root.render(createElement('input', { defaultValue: 'b' }))
+    expect(input.value).toBe('typed')
+    expect(input.getAttribute('value')).toBe('b')
+  })
+})
+
+// ─── 输入法组合输入 ──────────────────────────────────────────
+
+describe('IME 组合输入', () => {
+  it('组合输入期间不触发 onChange、不恢复，结束时统一处理', () => {
+    const onChange = vi.fn(e => e.target.value)
+    root.render(createElement('input', { value: '', onChange }))
+    const input = container.firstChild
+
+    fire(input, 'compositionstart')
+    typeInto(input, 'n')
+    typeInto(input, 'ni')
+    expect(onChange).not.toHaveBeenCalled()
+    expect(input.value).toBe('ni')
+
+    input.value = '你'
+    fire(input, 'compositionend')
+    expect(onChange).toHaveBeenCalledOnce()
+    expect(onChange).toHaveReturnedWith('你')
+    // state 没有接受这次输入，结束后恢复
+    expect(input.value).toBe('')
+  })
+
+  it('组合输入的结果被 state 接受后应保留', () => {
+    function Field() {
+      const [text, setText] = useState('')
+      return createElement('input', { value: text, onChange: e => setText(e.target.value) })
+    }
+    root.render(createElement(Field))
+    const input = container.firstChild
+
+    fire(input, 'compositionstart')
+    typeInto(input, 'hao')
+    input.value = '好'
+    fire(input, 'compositionend')
+    // 某些浏览器在 compositionend 之后还会再派发一次 input
+    typeInto(input, '好')
+    expect(input.value).toBe('好')
+  })
+})
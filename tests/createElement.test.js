@@ -7,14 +7,17 @@
  * 先写代码，再跑测试，看看哪些通过了、哪些没通过。
  */
 
-import { describe, it, expect } from 'vitest'
-import { createElement, createTextElement, TEXT_ELEMENT } from '../src/mini-react/createElement.js'
+import { describe, it, expect, vi } from 'vitest'
+import { createElement, createTextElement, TEXT_ELEMENT, MINI_REACT_ELEMENT } from '../src/mini-react/createElement.js'
 
 describe('createTextElement', () => {
   it('应该创建一个文本类型的 VNode', () => {
     const result = createTextElement('Hello')
     expect(result).toEqual({
+      $$typeof: MINI_REACT_ELEMENT,
       type: TEXT_ELEMENT,
+      key: null,
+      ref: null,
       props: {
         nodeValue: 'Hello',
         children: [],
@@ -25,7 +28,10 @@ describe('createTextElement', () => {
   it('应该处理数字类型的文本', () => {
     const result = createTextElement(42)
     expect(result).toEqual({
+      $$typeof: MINI_REACT_ELEMENT,
       type: TEXT_ELEMENT,
+      key: null,
+      ref: null,
       props: {
         nodeValue: 42,
         children: [],
@@ -38,7 +44,10 @@ describe('createElement', () => {
   it('应该创建一个没有子节点的简单元素', () => {
     const result = createElement('div', { id: 'app' })
     expect(result).toEqual({
+      $$typeof: MINI_REACT_ELEMENT,
       type: 'div',
+      key: null,
+      ref: null,
       props: {
         id: 'app',
         children: [],
@@ -49,7 +58,10 @@ describe('createElement', () => {
   it('应该处理 props 为 null 的情况', () => {
     const result = createElement('div', null)
     expect(result).toEqual({
+      $$typeof: MINI_REACT_ELEMENT,
       type: 'div',
+      key: null,
+      ref: null,
       props: {
         children: [],
       },
@@ -60,7 +72,10 @@ describe('createElement', () => {
     const result = createElement('p', null, 'Hello')
     expect(result.props.children).toHaveLength(1)
     expect(result.props.children[0]).toEqual({
+      $$typeof: MINI_REACT_ELEMENT,
       type: TEXT_ELEMENT,
+      key: null,
+      ref: null,
       props: {
         nodeValue: 'Hello',
         children: [],
@@ -71,7 +86,10 @@ describe('createElement', () => {
   it('应该将数字 children 包装为 TEXT_ELEMENT', () => {
     const result = createElement('span', null, 42)
     expect(result.props.children[0]).toEqual({
+      $$typeof: MINI_REACT_ELEMENT,
       type: TEXT_ELEMENT,
+      key: null,
+      ref: null,
       props: {
         nodeValue: 42,
         children: [],
@@ -129,3 +147,100 @@ describe('createElement', () => {
     expect(result.props.children[1].type).toBe('p')
   })
 })
+
+describe('createElement — children 拍平', () => {
+  it('应拍平 map 生成的数组 children', () => {
+    const items = ['a', 'b', 'c']
+    const result = createElement('ul', null, items.map(item => createElement('li', { key: item }, item)))
+
+    expect(result.props.children).toHaveLength(3)
+    expect(result.props.children.every(child => child.type === 'li')).toBe(true)
+  })
+
+  it('应递归拍平多层嵌套数组，并在每一层包装文本、过滤空值', () => {
+    const result = createElement('div', null, 'a', [1, [null, 'b', [false, createElement('i')]], undefined], true)
+
+    expect(result.props.children.map(child => child.type)).toEqual([TEXT_ELEMENT, TEXT_ELEMENT, TEXT_ELEMENT, 'i'])
+    expect(result.props.children.slice(0, 3).map(child => child.props.nodeValue)).toEqual(['a', 1, 'b'])
+  })
+
+  it('应保留数组中子节点的 key', () => {
+    const result = createElement('ul', null, [createElement('li', { key: 'x' }), createElement('li', { key: 'y' })])
+    expect(result.props.children.map(child => child.key)).toEqual(['x', 'y'])
+  })
+
+  it('应拍平 Set', () => {
+    const result = createElement('div', null, new Set(['x', 'y']))
+    expect(result.props.children.map(child => child.props.nodeValue)).toEqual(['x', 'y'])
+  })
+
+  it('Map 应使用它的值而不是 [key, value] 条目', () => {
+    const map = new Map([
+      ['first', createElement('span', { key: 'first' })],
+      ['second', 'text'],
+    ])
+    const result = createElement('div', null, map)
+
+    expect(result.props.children).toHaveLength(2)
+    expect(result.props.children[0].type).toBe('span')
+    expect(result.props.children[1].props.nodeValue).toBe('text')
+  })
+
+  it('应拍平 generator 产出的 children', () => {
+    function* rows() {
+      yield createElement('tr', { key: 1 })
+      yield [createElement('tr', { key: 2 }), null]
+    }
+    const result = createElement('tbody', null, rows())
+
+    expect(result.props.children).toHaveLength(2)
+    expect(result.props.children[1].key).toBe(2)
+  })
+
+  it('字符串不应被当作可迭代对象拆成单个字符', () => {
+    const result = createElement('p', null, ['Hello'])
+    expect(result.props.children).toHaveLength(1)
+    expect(result.props.children[0].props.nodeValue).toBe('Hello')
+  })
+})
+
+describe('createElement — $$typeof 标记', () => {
+  it('元素和文本节点都应带有 $$typeof 标记', () => {
+    const result = createElement('div', null, 'text')
+    expect(result.$$typeof).toBe(MINI_REACT_ELEMENT)
+    expect(result.props.children[0].$$typeof).toBe(MINI_REACT_ELEMENT)
+  })
+
+  it('$$typeof 标记在 JSON 序列化后应丢失', () => {
+    const parsed = JSON.parse(JSON.stringify(createElement('img', { src: 'x' })))
+    expect(parsed.type).toBe('img')
+    expect(parsed.$$typeof).toBeUndefined()
+  })
+})
+
+describe('createElement — key / ref 作为顶层字段', () => {
+  it('key 和 ref 应提升到 VNode 顶层，不出现在 props 中', () => {
+    const ref = { current: null }
+    const result = createElement('li', { key: 'a', ref, id: 'x' })
+
+    expect(result.key).toBe('a')
+    expect(result.ref).toBe(ref)
+    expect(Object.keys(result.props)).toEqual(['id', 'children'])
+  })
+
+  it('没有传 key / ref 时应为 null', () => {
+    const result = createElement('li')
+    expect(result.key).toBeNull()
+    expect(result.ref).toBeNull()
+  })
+
+  it('读取 props.key 应返回 undefined 并给出开发警告', () => {
+    const spy = vi.spyOn(console, 'error').mockImplementation(() => {})
+    function Item() {}
+    const result = createElement(Item, { key: 'a' })
+
+    expect(result.props.key).toBeUndefined()
+    expect(spy).toHaveBeenCalledWith(expect.stringMatching(/Item: `key` is not a prop/))
+    spy.mockRestore()
+  })
+})
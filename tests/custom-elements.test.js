@@ -0,0 +1,217 @@
+/**
+ * ============================================================
+ * Custom Elements Tests — 自定义元素 / Web Components
+ * ============================================================
+ *
+ * @vitest-environment jsdom
+ *
+ * 测试覆盖：
+ *  1. 元素定义了的 property 直接赋值，其他写 attribute
+ *  2. 布尔值 / null 的 attribute 语义，删除 prop
+ *  3. 自定义事件名保留大小写，标准事件照常转换
+ *  4. 不冒泡的自定义事件只触发目标上的 handler
+ *  5. shadow root 内部派发的事件通过 composedPath() 被接收
+ *  6. 开发模式下不对自定义元素的 prop 发出警告
+ *
+ * ============================================================
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, vi } from 'vitest'
+import { createElement } from '../src/mini-react/createElement.js'
+import { createRoot } from '../src/mini-react/root.js'
+import { getCustomElementEventName } from '../src/mini-react/events.js'
+
+let container
+let root
+
+beforeAll(() => {
+  // 定义了 items property 的元素
+  class ItemList extends HTMLElement {
+    set items(value) {
+      this._items = value
+      this.textContent = value ? value.join(',') : ''
+    }
+    get items() {
+      return this._items
+    }
+  }
+  customElements.define('item-list', ItemList)
+
+  // shadow root 中有一个按钮的元素
+  class FancyButton extends HTMLElement {
+    constructor() {
+      super()
+      this.attachShadow({ mode: 'open' }).innerHTML = '<button part="inner">go</button>'
+    }
+  }
+  customElements.define('fancy-button', FancyButton)
+})
+
+beforeEach(() => {
+  container = document.createElement('div')
+  document.body.appendChild(container)
+  root = createRoot(container)
+  return () => {
+    root.unmount()
+    document.body.removeChild(container)
+  }
+})
+
+describe('property 与 attribute', () => {
+  it('元素定义了的 property 应直接赋值（可以是数组）', () => {
+    const items = ['a', 'b']
+    root.render(createElement('item-list', { items }))
+    const list = container.firstChild
+
+    expect(list.items).toBe(items)
+    expect(list.textContent).toBe('a,b')
+    expect(list.hasAttribute('items')).toBe(false)
+  })
+
+  it('未定义的 prop 应写为 attribute，名字原样保留', () => {
+    root.render(createElement('x-unknown', { theme: 'dark', 'data-id': 3, size: 2 }))
+    const dom = container.firstChild
+
+    expect(dom.getAttribute('theme')).toBe('dark')
+    expect(dom.getAttribute('data-id')).toBe('3')
+    expect(dom.getAttribute('size')).toBe('2')
+  })
+
+  it('true 写入空 attribute，false / null 移除 attribute', () => {
+    root.render(createElement('x-toggle', { open: true, hidden: false }))
+    const dom = container.firstChild
+    expect(dom.getAttribute('open')).toBe('')
+    expect(dom.hasAttribute('hidden')).toBe(false)
+
+    root.render(createElement('x-toggle', { open: null }))
+    expect(dom.hasAttribute('open')).toBe(false)
+  })
+
+  it('删除 prop 时：property 置为 null，attribute 被移除', () => {
+    root.render(createElement('item-list', { items: ['x'], label: 'L' }))
+    const list = container.firstChild
+
+    root.render(createElement('item-list', {}))
+    expect(list.items).toBeNull()
+    expect(list.hasAttribute('label')).toBe(false)
+  })
+
+  it('className 与 style 应照常处理', () => {
+    root.render(createElement('x-card', { className: ['card', { active: true }], style: { width: 10 } }))
+    const dom = container.firstChild
+
+    expect(dom.getAttribute('class')).toBe('card active')
+    expect(dom.style.width).toBe('10px')
+  })
+})
+
+describe('事件', () => {
+  it('自定义事件名应保留大小写，标准事件照常转小写', () => {
+    const dom = document.createElement('x-any')
+    expect(getCustomElementEventName('onValueChanged', dom)).toBe('ValueChanged')
+    expect(getCustomElementEventName('onMy-event', dom)).toBe('My-event')
+    expect(getCustomElementEventName('onClick', dom)).toBe('click')
+    expect(getCustomElementEventName('onMouseEnter', dom)).toBe('mouseenter')
+  })
+
+  it('自定义事件应触发对应的 handler', () => {
+    const onValueChanged = vi.fn()
+    const onKebab = vi.fn()
+    root.render(createElement('x-slider', { onValueChanged, 'onMy-event': onKebab }))
+    const dom = container.firstChild
+
+    dom.dispatchEvent(new CustomEvent('ValueChanged', { bubbles: true, detail: 5 }))
+    dom.dispatchEvent(new CustomEvent('My-event'))
+
+    expect(onValueChanged).toHaveBeenCalledOnce()
+    expect(onValueChanged.mock.calls[0][0].detail).toBe(5)
+    expect(onKebab).toHaveBeenCalledOnce()
+  })
+
+  it('onClick 等标准事件在自定义元素上照常工作', () => {
+    const onClick = vi.fn()
+    root.render(createElement('x-button', { onClick }))
+
+    container.firstChild.click()
+    expect(onClick).toHaveBeenCalledOnce()
+  })
+
+  it('不冒泡的自定义事件只触发目标元素的 handler', () => {
+    const outer = vi.fn()
+    const inner = vi.fn()
+    root.render(createElement('x-outer', { onPing: outer }, createElement('x-inner', { onPing: inner })))
+
+    container.querySelector('x-inner').dispatchEvent(new CustomEvent('Ping'))
+    expect(inner).toHaveBeenCalledOnce()
+    expect(outer).not.toHaveBeenCalled()
+
+    container.querySelector('x-inner').dispatchEvent(new CustomEvent('Ping', { bubbles: true }))
+    expect(outer).toHaveBeenCalledOnce()
+  })
+
+  it('在 root 创建之前注册的按需事件，之后的 root 也能收到', () => {
+    const first = vi.fn()
+    root.render(createElement('x-a', { onLateEvent: first }))
+
+    const other = document.createElement('div')
+    document.body.appendChild(other)
+    const otherRoot = createRoot(other)
+    const second = vi.fn()
+    otherRoot.render(createElement('x-b', { onLateEvent: second }))
+
+    other.firstChild.dispatchEvent(new CustomEvent('LateEvent'))
+    expect(second).toHaveBeenCalledOnce()
+    expect(first).not.toHaveBeenCalled()
+
+    otherRoot.unmount()
+    other.remove()
+  })
+
+  it('移除 handler 后不再触发', () => {
+    const handler = vi.fn()
+    root.render(createElement('x-slider', { onValueChanged: handler }))
+    root.render(createElement('x-slider', {}))
+
+    container.firstChild.dispatchEvent(new CustomEvent('ValueChanged'))
+    expect(handler).not.toHaveBeenCalled()
+  })
+})
+
+describe('shadow DOM', () => {
+  it('shadow root 内派发的 composed 事件应冒泡到宿主和外层元素', () => {
+    const onHost = vi.fn()
+    const onOuter = vi.fn()
+    root.render(createElement('section', { onClick: onOuter }, createElement('fancy-button', { onClick: onHost })))
+
+    const host = container.querySelector('fancy-button')
+    host.shadowRoot.querySelector('button').click()
+
+    expect(onHost).toHaveBeenCalledOnce()
+    expect(onOuter).toHaveBeenCalledOnce()
+  })
+
+  it('不冒泡的 composed 事件应在宿主元素上触发', () => {
+    const onSelect = vi.fn()
+    const onOuter = vi.fn()
+    root.render(
+      createElement('section', { onPick: onOuter }, createElement('fancy-button', { onPick: onSelect }))
+    )
+
+    const inner = container.querySelector('fancy-button').shadowRoot.querySelector('button')
+    inner.dispatchEvent(new CustomEvent('Pick', { composed: true }))
+
+    expect(onSelect).toHaveBeenCalledOnce()
+    expect(onOuter).not.toHaveBeenCalled()
+  })
+})
+
+describe('开发模式警告', () => {
+  it('自定义元素的 camelCase prop 与 class 不应警告', () => {
+    const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {})
+    root.render(createElement('x-widget', { someSetting: 'a', class: 'w', onValueChanged: () => {} }))
+
+    expect(errorSpy).not.toHaveBeenCalled()
+    expect(container.firstChild.getAttribute('class')).toBe('w')
+    errorSpy.mockRestore()
+  })
+})
@@ -0,0 +1,452 @@
+/**
+ * ============================================================
+ * DOM Props Tests — updateProps 的 property / attribute 映射
+ * ============================================================
+ *
+ * @vitest-environment jsdom
+ *
+ * 测试覆盖：
+ *  1. data-* / aria-* / role / 自定义 attribute 写入 DOM
+ *  2. React 命名映射：htmlFor → for、tabIndex → tabindex、readOnly → readonly
+ *  3. value / checked 等通过 property 设置
+ *  4. 删除 prop 时移除 attribute，而不是写入 ''
+ *  5. 开发模式下对未知 / 大小写错误的 prop 给出警告
+ *  6. 布尔 / 可重载布尔 / 数字 attribute 的语义（含移除）
+ *  7. style：自动 px、CSS 变量、!important、字符串与对象之间的 diff
+ *  8. dangerouslySetInnerHTML
+ *  9. className：字符串 / 数组 / 对象（clsx 规则）与 class 别名
+ *
+ * ============================================================
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { createElement } from '../src/mini-react/createElement.js'
+import { createRoot } from '../src/mini-react/root.js'
+import { resolveClassName } from '../src/mini-react/render.js'
+import { useEffect } from '../src/mini-react/hooks.js'
+
+let container
+let root
+
+beforeEach(() => {
+  container = document.createElement('div')
+  document.body.appendChild(container)
+  root = createRoot(container)
+  return () => {
+    root.unmount()
+    document.body.removeChild(container)
+  }
+})
+
+const renderElement = (type, props) => {
+  root.render(createElement(type, props))
+  return container.firstChild
+}
+
+// ─── attribute / property 映射 ───────────────────────────────
+
+describe('attribute 与 property 映射', () => {
+  it('data-* / aria-* / role 应作为 attribute 写入', () => {
+    const dom = renderElement('div', { 'data-id': 7, 'aria-label': 'Close', role: 'button' })
+
+    expect(dom.getAttribute('data-id')).toBe('7')
+    expect(dom.dataset.id).toBe('7')
+    expect(dom.getAttribute('aria-label')).toBe('Close')
+    expect(dom.getAttribute('role')).toBe('button')
+  })
+
+  it('htmlFor 应映射为 for attribute', () => {
+    const dom = renderElement('label', { htmlFor: 'email' })
+    expect(dom.getAttribute('for')).toBe('email')
+    expect(dom.htmlFor).toBe('email')
+  })
+
+  it('tabIndex / readOnly / maxLength 应映射为小写 attribute', () => {
+    const dom = renderElement('input', { tabIndex: -1, readOnly: true, maxLength: 10 })
+
+    expect(dom.getAttribute('tabindex')).toBe('-1')
+    expect(dom.hasAttribute('readonly')).toBe(true)
+    expect(dom.readOnly).toBe(true)
+    expect(dom.getAttribute('maxlength')).toBe('10')
+  })
+
+  it('全小写的自定义 attribute 应原样写入', () => {
+    const dom = renderElement('div', { 'x-custom': 'yes', popover: 'auto' })
+    expect(dom.getAttribute('x-custom')).toBe('yes')
+    expect(dom.getAttribute('popover')).toBe('auto')
+  })
+
+  it('value / checked 应通过 property 设置', () => {
+    const input = renderElement('input', { value: 'hello' })
+    expect(input.value).toBe('hello')
+
+    const checkbox = renderElement('input', { type: 'checkbox', checked: true })
+    expect(checkbox.checked).toBe(true)
+  })
+
+  it('布尔 attribute：true 时写入空字符串，false 时不写入', () => {
+    const dom = renderElement('button', { disabled: true })
+    expect(dom.getAttribute('disabled')).toBe('')
+
+    root.render(createElement('button', { disabled: false }))
+    expect(dom.hasAttribute('disabled')).toBe(false)
+  })
+})
+
+// ─── 删除 prop ───────────────────────────────────────────────
+
+describe('删除 prop', () => {
+  it('删除 prop 时应移除 attribute，而不是写入空字符串', () => {
+    const dom = renderElement('label', { htmlFor: 'a', 'data-id': '1', title: 'tip' })
+    root.render(createElement('label', {}))
+
+    expect(dom.hasAttribute('for')).toBe(false)
+    expect(dom.hasAttribute('data-id')).toBe(false)
+    expect(dom.hasAttribute('title')).toBe(false)
+  })
+
+  it('值变为 null / undefined 时应移除 attribute', () => {
+    const dom = renderElement('div', { id: 'x', 'aria-hidden': 'true' })
+    root.render(createElement('div', { id: null, 'aria-hidden': undefined }))
+
+    expect(dom.hasAttribute('id')).toBe(false)
+    expect(dom.hasAttribute('aria-hidden')).toBe(false)
+  })
+
+  it('删除 value / checked 时应重置 property', () => {
+    const input = renderElement('input', { type: 'checkbox', checked: true, value: 'on' })
+    root.render(createElement('input', { type: 'checkbox' }))
+
+    expect(input.checked).toBe(false)
+    expect(input.value).toBe('')
+  })
+})
+
+// ─── 布尔与数字 attribute ────────────────────────────────────
+
+describe('布尔与数字 attribute', () => {
+  it('hidden / disabled 为 false 或被删除时应移除 attribute', () => {
+    const dom = renderElement('div', { hidden: true })
+    expect(dom.hidden).toBe(true)
+
+    root.render(createElement('div', { hidden: false }))
+    expect(dom.hasAttribute('hidden')).toBe(false)
+
+    root.render(createElement('div', { hidden: 'yes' }))
+    expect(dom.getAttribute('hidden')).toBe('')
+
+    root.render(createElement('div', {}))
+    expect(dom.hidden).toBe(false)
+  })
+
+  it('checked / multiple / selected 应按布尔 property 设置与重置', () => {
+    root.render(
+      createElement(
+        'select',
+        { multiple: true },
+        createElement('option', { value: 'a', selected: true }),
+        createElement('option', { value: 'b', selected: false })
+      )
+    )
+    const select = container.firstChild
+    const [a, b] = select.options
+    expect(select.multiple).toBe(true)
+    expect(a.selected).toBe(true)
+    expect(b.selected).toBe(false)
+
+    root.render(
+      createElement('select', { multiple: true }, createElement('option', { value: 'a' }), createElement('option', { value: 'b' }))
+    )
+    expect(a.selected).toBe(false)
+
+    root.render(createElement('select', {}, createElement('option', { value: 'a' }), createElement('option', { value: 'b' })))
+    expect(select.multiple).toBe(false)
+  })
+
+  it('checked={false} 应取消勾选，而不是写入字符串', () => {
+    const checkbox = renderElement('input', { type: 'checkbox', checked: true })
+    root.render(createElement('input', { type: 'checkbox', checked: false }))
+    expect(checkbox.checked).toBe(false)
+  })
+
+  it('download 为 true 时写入空 attribute，字符串时写入文件名，false 时移除', () => {
+    const link = renderElement('a', { download: true })
+    expect(link.getAttribute('download')).toBe('')
+
+    root.render(createElement('a', { download: 'report.csv' }))
+    expect(link.getAttribute('download')).toBe('report.csv')
+
+    root.render(createElement('a', { download: false }))
+    expect(link.hasAttribute('download')).toBe(false)
+  })
+
+  it('rowSpan 等数字 attribute 应写入数字，NaN 时移除', () => {
+    const cell = renderElement('td', { rowSpan: 2 })
+    expect(cell.getAttribute('rowspan')).toBe('2')
+    expect(cell.rowSpan).toBe(2)
+
+    root.render(createElement('td', { rowSpan: NaN }))
+    expect(cell.hasAttribute('rowspan')).toBe(false)
+  })
+
+  it('rows / size 等正数 attribute 小于 1 时应移除', () => {
+    const textarea = renderElement('textarea', { rows: 4 })
+    expect(textarea.getAttribute('rows')).toBe('4')
+
+    root.render(createElement('textarea', { rows: 0 }))
+    expect(textarea.hasAttribute('rows')).toBe(false)
+  })
+
+  it('普通 attribute 的值为 false 时应移除，而不是写入 "false"', () => {
+    const dom = renderElement('div', { title: 'tip' })
+    root.render(createElement('div', { title: false }))
+    expect(dom.hasAttribute('title')).toBe(false)
+  })
+
+  it('aria-* / data-* 与 contentEditable 等的 false 应保留为字符串', () => {
+    const dom = renderElement('div', { 'aria-hidden': false, 'data-active': false, contentEditable: false, draggable: true })
+
+    expect(dom.getAttribute('aria-hidden')).toBe('false')
+    expect(dom.getAttribute('data-active')).toBe('false')
+    expect(dom.getAttribute('contenteditable')).toBe('false')
+    expect(dom.getAttribute('draggable')).toBe('true')
+  })
+})
+
+// ─── style ───────────────────────────────────────────────────
+
+describe('style', () => {
+  it('数字值应自动加 px，无单位属性与 0 除外', () => {
+    const dom = renderElement('div', { style: { width: 100, marginTop: -4, opacity: 0.5, zIndex: 3, flexGrow: 1, padding: 0 } })
+
+    expect(dom.style.width).toBe('100px')
+    expect(dom.style.marginTop).toBe('-4px')
+    expect(dom.style.opacity).toBe('0.5')
+    expect(dom.style.zIndex).toBe('3')
+    expect(dom.style.flexGrow).toBe('1')
+    expect(dom.style.padding).toBe('0px')
+  })
+
+  it('带浏览器前缀的无单位属性也不加 px', () => {
+    const dom = renderElement('div', { style: { WebkitLineClamp: 2 } })
+    expect(dom.style.getPropertyValue('-webkit-line-clamp')).toBe('2')
+  })
+
+  it('CSS 变量应通过 setProperty 设置，数字不加 px', () => {
+    const dom = renderElement('div', { style: { '--brand-color': '#f00', '--columns': 3 } })
+
+    expect(dom.style.getPropertyValue('--brand-color')).toBe('#f00')
+    expect(dom.style.getPropertyValue('--columns')).toBe('3')
+  })
+
+  it('!important 应作为优先级设置', () => {
+    const dom = renderElement('div', { style: { color: 'red !important' } })
+
+    expect(dom.style.getPropertyValue('color')).toBe('red')
+    expect(dom.style.getPropertyPriority('color')).toBe('important')
+  })
+
+  it('对象 → 对象：删除不再存在的声明，null / false 也视为删除', () => {
+    const dom = renderElement('div', { style: { color: 'red', width: 10, '--gap': '4px', height: 5 } })
+    root.render(createElement('div', { style: { color: 'blue', height: null, display: false } }))
+
+    expect(dom.style.color).toBe('blue')
+    expect(dom.style.width).toBe('')
+    expect(dom.style.height).toBe('')
+    expect(dom.style.getPropertyValue('--gap')).toBe('')
+  })
+
+  it('字符串 → 对象：不应残留字符串中的声明', () => {
+    const dom = renderElement('div', { style: 'color: red; width: 10px' })
+    root.render(createElement('div', { style: { height: 20 } }))
+
+    expect(dom.style.color).toBe('')
+    expect(dom.style.width).toBe('')
+    expect(dom.style.height).toBe('20px')
+  })
+
+  it('对象 → 字符串 → 删除', () => {
+    const dom = renderElement('div', { style: { color: 'red' } })
+    root.render(createElement('div', { style: 'width: 5px' }))
+    expect(dom.style.color).toBe('')
+    expect(dom.style.width).toBe('5px')
+
+    root.render(createElement('div', {}))
+    expect(dom.getAttribute('style')).toBe('')
+  })
+
+  it('值未变化的声明不应被重新设置', () => {
+    const dom = renderElement('div', { style: { color: 'red', width: 1 } })
+    const spy = vi.spyOn(dom.style, 'setProperty')
+    root.render(createElement('div', { style: { color: 'red', width: 2 } }))
+
+    expect(spy).toHaveBeenCalledTimes(1)
+    expect(spy).toHaveBeenCalledWith('width', '2px', '')
+  })
+})
+
+// ─── dangerouslySetInnerHTML ─────────────────────────────────
+
+describe('dangerouslySetInnerHTML', () => {
+  const html = __html => ({ dangerouslySetInnerHTML: { __html } })
+
+  it('应将 __html 写入 innerHTML', () => {
+    const dom = renderElement('article', html('<h1>Title</h1><p>Body</p>'))
+    expect(dom.innerHTML).toBe('<h1>Title</h1><p>Body</p>')
+    expect(dom.hasAttribute('dangerouslySetInnerHTML')).toBe(false)
+  })
+
+  it('__html 不变时不应重写 innerHTML（保留 DOM 节点）', () => {
+    const dom = renderElement('div', html('<b>bold</b>'))
+    const bold = dom.firstChild
+
+    root.render(createElement('div', { ...html('<b>bold</b>'), id: 'x' }))
+    expect(dom.firstChild).toBe(bold)
+    expect(dom.id).toBe('x')
+  })
+
+  it('__html 变化时应重新写入', () => {
+    const dom = renderElement('div', html('<i>a</i>'))
+    root.render(createElement('div', html('<i>b</i>')))
+    expect(dom.innerHTML).toBe('<i>b</i>')
+  })
+
+  it('从 children 切换到 dangerouslySetInnerHTML 时应清理旧子组件的副作用', async () => {
+    const cleanup = vi.fn()
+    function Child() {
+      useEffect(() => cleanup, [])
+      return createElement('span', null, 'child')
+    }
+
+    root.render(createElement('div', null, createElement(Child)))
+    await Promise.resolve()
+    root.render(createElement('div', html('<em>raw</em>')))
+
+    expect(container.firstChild.innerHTML).toBe('<em>raw</em>')
+    expect(cleanup).toHaveBeenCalledTimes(1)
+  })
+
+  it('从 dangerouslySetInnerHTML 切换回 children', () => {
+    const dom = renderElement('div', html('<em>raw</em>'))
+    root.render(createElement('div', null, createElement('p', null, 'child')))
+
+    expect(dom.innerHTML).toBe('<p>child</p>')
+  })
+
+  it('同时传入 children 时应抛错', () => {
+    expect(() => root.render(createElement('div', html('<b>x</b>'), 'child'))).toThrow(
+      'Can only set one of `children` or `props.dangerouslySetInnerHTML`.'
+    )
+  })
+
+  it('值不是 { __html } 形式时应抛错', () => {
+    expect(() => root.render(createElement('div', { dangerouslySetInnerHTML: '<b>x</b>' }))).toThrow(
+      /must be in the form `\{__html: \.\.\.\}`/
+    )
+  })
+})
+
+// ─── className ───────────────────────────────────────────────
+
+describe('className', () => {
+  it('resolveClassName 应按 clsx 规则解析', () => {
+    expect(resolveClassName('btn')).toBe('btn')
+    expect(resolveClassName(['btn', { active: true, hidden: 0 }, null, false, 2])).toBe('btn active 2')
+    expect(resolveClassName(['a', ['b', [undefined, 'c']], ''])).toBe('a b c')
+    expect(resolveClassName({})).toBe('')
+  })
+
+  it('数组 / 对象形式的 className 应解析后写入 DOM', () => {
+    const dom = renderElement('button', { className: ['btn', { active: true, disabled: false }] })
+    expect(dom.className).toBe('btn active')
+  })
+
+  it('解析结果不变时不应写 DOM', () => {
+    const dom = renderElement('div', { className: { a: true, b: false } })
+    const setter = vi.spyOn(dom, 'className', 'set')
+
+    root.render(createElement('div', { className: ['a'] }))
+    expect(setter).not.toHaveBeenCalled()
+
+    root.render(createElement('div', { className: { a: true, b: true } }))
+    expect(setter).toHaveBeenCalledWith('a b')
+  })
+
+  it('解析为空或被删除时应移除 class attribute', () => {
+    const dom = renderElement('div', { className: 'x' })
+    root.render(createElement('div', { className: { x: false } }))
+    expect(dom.hasAttribute('class')).toBe(false)
+
+    root.render(createElement('div', { className: 'y' }))
+    root.render(createElement('div', {}))
+    expect(dom.hasAttribute('class')).toBe(false)
+  })
+
+  it('class 应作为 className 的别名，并给出开发警告', () => {
+    const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {})
+    const dom = renderElement('div', { class: ['card', { selected: true }] })
+
+    expect(dom.className).toBe('card selected')
+    expect(errorSpy).toHaveBeenCalledWith('Warning: Invalid DOM property `class`. Did you mean `className`?')
+    errorSpy.mockRestore()
+  })
+
+  it('SVG 元素的 className 也支持数组 / 对象', () => {
+    root.render(createElement('svg', { className: ['icon', { spin: true }] }))
+    expect(container.firstChild.getAttribute('class')).toBe('icon spin')
+  })
+})
+
+// ─── 开发模式警告 ────────────────────────────────────────────
+
+describe('开发模式：未知 / 大小写错误的 prop', () => {
+  let errorSpy
+
+  beforeEach(() => {
+    errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {})
+    return () => errorSpy.mockRestore()
+  })
+
+  it('大小写写错的已知 prop 应提示正确写法', () => {
+    renderElement('div', { tabindex: 0, readonly: true })
+
+    expect(errorSpy).toHaveBeenCalledWith('Warning: Invalid DOM property `tabindex`. Did you mean `tabIndex`?')
+    expect(errorSpy).toHaveBeenCalledWith('Warning: Invalid DOM property `readonly`. Did you mean `readOnly`?')
+  })
+
+  it('for 应提示使用 htmlFor', () => {
+    renderElement('label', { for: 'x' })
+    expect(errorSpy).toHaveBeenCalledWith('Warning: Invalid DOM property `for`. Did you mean `htmlFor`?')
+  })
+
+  it('全小写的事件名应提示 camelCase 写法', () => {
+    renderElement('button', { onmouseenter: () => {} })
+    expect(errorSpy).toHaveBeenCalledWith(
+      'Warning: Invalid event handler property `onmouseenter`. ' +
+        'MiniReact events use the camelCase naming convention, for example `onClick`.'
+    )
+  })
+
+  it('未知的 camelCase prop 应警告', () => {
+    renderElement('div', { userName: 'x' })
+    expect(errorSpy.mock.calls[0][0]).toMatch(/does not recognize the `userName` prop on a DOM element/)
+  })
+
+  it('正确书写的 prop 不应警告', () => {
+    renderElement('input', {
+      className: 'a',
+      style: { color: 'red' },
+      tabIndex: 1,
+      'data-testId': 'x',
+      'aria-label': 'y',
+      onClick: () => {},
+    })
+    expect(errorSpy).not.toHaveBeenCalled()
+  })
+
+  it('同一个 prop 只警告一次', () => {
+    renderElement('div', { fooBar: 1 })
+    renderElement('div', { fooBar: 2 })
+    expect(errorSpy).toHaveBeenCalledTimes(1)
+  })
+})
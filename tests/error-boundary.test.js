@@ -0,0 +1,383 @@
+/**
+ * ============================================================
+ * ErrorBoundary Tests — 错误边界
+ * ============================================================
+ *
+ * @vitest-environment jsdom
+ *
+ * 测试覆盖：
+ *  1. 首次渲染 / 更新 / setState 重渲染时后代抛错 → 渲染 fallback
+ *  2. 失败子树收集的 mutation（DOM、ref、effect）被整个丢弃
+ *  3. effect 与 cleanup（含卸载时的 cleanup）抛错 → 渲染 fallback
+ *  4. reset 清除错误并重新渲染 children
+ *  5. 嵌套边界：由最近的边界捕获，fallback 中的错误交给外层
+ *  6. 没有边界时错误原样抛出，pendingMutations 被清空
+ *  7. 没有边界时 Commit Phase 中 cleanup 抛错：提交完成后才抛出，root 仍可继续渲染
+ *
+ * ============================================================
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { createElement } from '../src/mini-react/createElement.js'
+import { createRoot } from '../src/mini-react/root.js'
+import { ErrorBoundary } from '../src/mini-react/error-boundary.js'
+import { getPendingMutations } from '../src/mini-react/reconciler.js'
+import { useState, useEffect, flushPendingUpdates } from '../src/mini-react/hooks.js'
+
+let container
+let root
+
+beforeEach(() => {
+  container = document.createElement('div')
+  document.body.appendChild(container)
+  root = createRoot(container)
+  return () => {
+    root.unmount()
+    container.remove()
+  }
+})
+
+function flushMicrotasks() {
+  return new Promise(resolve => setTimeout(resolve, 10))
+}
+
+function Bomb({ message = 'boom' }) {
+  throw new Error(message)
+}
+
+const showError = error => createElement('p', null, `error: ${error.message}`)
+
+// ─── 渲染期的错误 ────────────────────────────────────────────
+
+describe('渲染期的错误', () => {
+  it('首次渲染时后代抛错，应只把边界内的子树换成 fallback', () => {
+    root.render(
+      createElement('main', null,
+        createElement('h1', null, 'title'),
+        createElement(ErrorBoundary, { fallback: showError },
+          createElement('div', null, createElement(Bomb))
+        ),
+        createElement('footer', null, 'end')
+      )
+    )
+
+    expect(container.innerHTML).toBe('<main><h1>title</h1><p>error: boom</p><footer>end</footer></main>')
+  })
+
+  it('失败子树的 DOM、ref 与 effect 都应被丢弃', async () => {
+    const ref = vi.fn()
+    const effect = vi.fn()
+    function Ok() {
+      useEffect(effect, [])
+      return createElement('span', { ref }, 'ok')
+    }
+
+    root.render(createElement(ErrorBoundary, { fallback: showError }, createElement(Ok), createElement(Bomb)))
+    await flushMicrotasks()
+
+    expect(container.innerHTML).toBe('<p>error: boom</p>')
+    expect(ref).not.toHaveBeenCalled()
+    expect(effect).not.toHaveBeenCalled()
+    expect(getPendingMutations()).toHaveLength(0)
+  })
+
+  it('更新时后代抛错，旧的子树应被 fallback 替换并执行 cleanup', async () => {
+    const cleanup = vi.fn()
+    function Item({ broken }) {
+      useEffect(() => cleanup, [])
+      if (broken) throw new Error('broken item')
+      return createElement('li', null, 'item')
+    }
+    const render = broken => root.render(
+      createElement('section', null,
+        createElement(ErrorBoundary, { fallback: showError }, createElement('ul', null, createElement(Item, { broken })))
+      )
+    )
+
+    render(false)
+    await flushMicrotasks()
+    render(true)
+
+    expect(container.innerHTML).toBe('<section><p>error: broken item</p></section>')
+    expect(cleanup).toHaveBeenCalledOnce()
+  })
+
+  it('被丢弃的渲染不应提前卸载仍在页面上的组件', async () => {
+    const cleanup = vi.fn()
+    function Stable() {
+      useEffect(() => cleanup, [])
+      return createElement('b', null, 'stable')
+    }
+    const render = broken => root.render(
+      createElement('div', null,
+        createElement(ErrorBoundary, { fallback: showError },
+          broken ? createElement('i', null, createElement(Bomb)) : createElement(Stable)
+        ),
+        createElement(ErrorBoundary, { fallback: showError }, createElement(Stable))
+      )
+    )
+
+    render(false)
+    await flushMicrotasks()
+    render(true)
+
+    // 第一个边界中的 Stable 被 fallback 替换；第二个边界不受影响
+    expect(container.innerHTML).toBe('<div><p>error: boom</p><b>stable</b></div>')
+    expect(cleanup).toHaveBeenCalledOnce()
+  })
+
+  it('setState 重渲染时抛错，应由上方的边界渲染 fallback', async () => {
+    let setBroken
+    function Toggle() {
+      const [broken, set] = useState(false)
+      setBroken = set
+      if (broken) throw new Error('toggled')
+      return createElement('span', null, 'fine')
+    }
+
+    root.render(createElement('div', null, createElement(ErrorBoundary, { fallback: showError }, createElement(Toggle))))
+    setBroken(true)
+    await flushMicrotasks()
+
+    expect(container.innerHTML).toBe('<div><p>error: toggled</p></div>')
+    expect(getPendingMutations()).toHaveLength(0)
+  })
+
+  it('fallback 可以直接是一个元素', () => {
+    root.render(createElement(ErrorBoundary, { fallback: createElement('em', null, 'oops') }, createElement(Bomb)))
+    expect(container.innerHTML).toBe('<em>oops</em>')
+  })
+
+  it('没有错误时应原样渲染 children', () => {
+    root.render(createElement(ErrorBoundary, { fallback: showError }, createElement('a', null, 'x'), 'y'))
+    expect(container.innerHTML).toBe('<a>x</a>y')
+  })
+})
+
+// ─── effect / cleanup 中的错误 ───────────────────────────────
+
+describe('effect 与 cleanup 中的错误', () => {
+  it('effect 抛错时应渲染 fallback', async () => {
+    function Faulty() {
+      useEffect(() => {
+        throw new Error('effect failed')
+      }, [])
+      return createElement('span', null, 'content')
+    }
+
+    root.render(createElement(ErrorBoundary, { fallback: showError }, createElement(Faulty)))
+    expect(container.innerHTML).toBe('<span>content</span>')
+
+    await flushMicrotasks()
+    expect(container.innerHTML).toBe('<p>error: effect failed</p>')
+  })
+
+  it('deps 变化时 cleanup 抛错应渲染 fallback', async () => {
+    function Subscriber({ id }) {
+      useEffect(() => () => {
+        throw new Error(`cleanup ${id}`)
+      }, [id])
+      return createElement('span', null, id)
+    }
+    const render = id => root.render(createElement(ErrorBoundary, { fallback: showError }, createElement(Subscriber, { id })))
+
+    render('a')
+    await flushMicrotasks()
+    render('b')
+    await flushMicrotasks()
+
+    expect(container.innerHTML).toBe('<p>error: cleanup a</p>')
+  })
+
+  it('卸载时 cleanup 抛错应渲染 fallback，并继续执行其他 cleanup', async () => {
+    const other = vi.fn()
+    function Leaving() {
+      useEffect(() => () => {
+        throw new Error('unmount failed')
+      }, [])
+      useEffect(() => other, [])
+      return createElement('span', null, 'leaving')
+    }
+    const render = show => root.render(
+      createElement(ErrorBoundary, { fallback: showError }, createElement('div', null, show && createElement(Leaving)))
+    )
+
+    render(true)
+    await flushMicrotasks()
+    render(false)
+    expect(other).toHaveBeenCalledOnce()
+
+    await flushMicrotasks()
+    expect(container.innerHTML).toBe('<p>error: unmount failed</p>')
+  })
+})
+
+// ─── 没有边界时 Commit Phase 中的错误 ────────────────────────
+
+describe('没有边界时 Commit Phase 中的错误', () => {
+  const failingCleanup = vi.fn()
+  const otherCleanup = vi.fn()
+  function Leaving() {
+    useEffect(() => () => {
+      failingCleanup()
+      throw new Error('unmount failed')
+    }, [])
+    return createElement('span', null, 'leaving')
+  }
+  function Sibling() {
+    useEffect(() => otherCleanup, [])
+    return createElement('i')
+  }
+
+  beforeEach(() => {
+    failingCleanup.mockClear()
+    otherCleanup.mockClear()
+  })
+
+  it('卸载时 cleanup 抛错应在提交完成后抛出，之后的渲染照常进行', async () => {
+    root.render(createElement('div', null, createElement(Leaving), createElement(Sibling)))
+    await flushMicrotasks()
+
+    expect(() => root.render(createElement('div', null, createElement('b', null, 'next')))).toThrow('unmount failed')
+    expect(otherCleanup).toHaveBeenCalledOnce()
+    expect(container.innerHTML).toBe('<div><b>next</b></div>')
+
+    root.render(createElement('div', null, createElement('b', null, 'again')))
+    expect(container.innerHTML).toBe('<div><b>again</b></div>')
+    expect(failingCleanup).toHaveBeenCalledOnce()
+  })
+
+  it('同一个组件的多个 cleanup 中一个抛错，其余的仍应执行', async () => {
+    const second = vi.fn()
+    function Subscriber() {
+      useEffect(() => () => {
+        throw new Error('first')
+      }, [])
+      useEffect(() => second, [])
+      return createElement('span')
+    }
+    root.render(createElement(Subscriber))
+    await flushMicrotasks()
+
+    expect(() => root.unmount()).toThrow('first')
+    expect(second).toHaveBeenCalledOnce()
+    expect(container.innerHTML).toBe('')
+
+    root = createRoot(container)
+  })
+
+  it('setState 重渲染时 cleanup 抛错，组件应记录新的子树', async () => {
+    let setLabel
+    function Toggle() {
+      const [label, _setLabel] = useState(null)
+      setLabel = _setLabel
+      return createElement('div', null, label === null ? createElement(Leaving) : createElement('b', null, label))
+    }
+    root.render(createElement(Toggle))
+    await flushMicrotasks()
+
+    setLabel('hidden')
+    expect(() => flushPendingUpdates()).toThrow('unmount failed')
+    expect(container.innerHTML).toBe('<div><b>hidden</b></div>')
+
+    setLabel('again')
+    flushPendingUpdates()
+    expect(container.innerHTML).toBe('<div><b>again</b></div>')
+    expect(failingCleanup).toHaveBeenCalledOnce()
+  })
+
+  it('root.unmount 时 cleanup 抛错，DOM 仍应被清空', async () => {
+    root.render(createElement('div', null, createElement(Leaving), createElement(Sibling)))
+    await flushMicrotasks()
+
+    expect(() => root.unmount()).toThrow('unmount failed')
+    expect(otherCleanup).toHaveBeenCalledOnce()
+    expect(container.innerHTML).toBe('')
+
+    root = createRoot(container)
+    root.render(createElement('p', null, 'remounted'))
+    expect(container.innerHTML).toBe('<p>remounted</p>')
+  })
+})
+
+// ─── reset ───────────────────────────────────────────────────
+
+describe('reset', () => {
+  it('reset 应清除错误并重新渲染 children', async () => {
+    let shouldThrow = true
+    let reset
+    function Flaky() {
+      if (shouldThrow) throw new Error('flaky')
+      return createElement('span', null, 'recovered')
+    }
+    const fallback = (error, retry) => {
+      reset = retry
+      return createElement('button', null, error.message)
+    }
+
+    root.render(createElement(ErrorBoundary, { fallback }, createElement(Flaky)))
+    expect(container.innerHTML).toBe('<button>flaky</button>')
+
+    reset()
+    await flushMicrotasks()
+    expect(container.innerHTML).toBe('<button>flaky</button>')
+
+    shouldThrow = false
+    reset()
+    await flushMicrotasks()
+    expect(container.innerHTML).toBe('<span>recovered</span>')
+  })
+
+  it('在 fallback 的事件中调用 reset 应能恢复', async () => {
+    let shouldThrow = true
+    function Flaky() {
+      if (shouldThrow) throw new Error('flaky')
+      return createElement('span', null, 'ok')
+    }
+    const fallback = (error, reset) => createElement('button', { onClick: reset }, 'retry')
+
+    root.render(createElement(ErrorBoundary, { fallback }, createElement(Flaky)))
+    shouldThrow = false
+    container.querySelector('button').click()
+    await flushMicrotasks()
+
+    expect(container.innerHTML).toBe('<span>ok</span>')
+  })
+})
+
+// ─── 嵌套与传播 ──────────────────────────────────────────────
+
+describe('嵌套边界与错误传播', () => {
+  it('错误应由最近的边界捕获', () => {
+    const outer = vi.fn(() => createElement('p', null, 'outer'))
+    root.render(
+      createElement(ErrorBoundary, { fallback: outer },
+        createElement('div', null,
+          createElement(ErrorBoundary, { fallback: () => createElement('p', null, 'inner') }, createElement(Bomb))
+        )
+      )
+    )
+
+    expect(container.innerHTML).toBe('<div><p>inner</p></div>')
+    expect(outer).not.toHaveBeenCalled()
+  })
+
+  it('fallback 中抛出的错误应交给外层边界', () => {
+    const brokenFallback = () => createElement(Bomb, { message: 'fallback failed' })
+    root.render(
+      createElement(ErrorBoundary, { fallback: showError },
+        createElement(ErrorBoundary, { fallback: brokenFallback }, createElement(Bomb))
+      )
+    )
+
+    expect(container.innerHTML).toBe('<p>error: fallback failed</p>')
+  })
+
+  it('没有边界时错误应原样抛出，DOM 保持不变且 pendingMutations 被清空', () => {
+    root.render(createElement('div', null, 'before'))
+
+    expect(() => root.render(createElement('div', null, createElement('span'), createElement(Bomb)))).toThrow('boom')
+    expect(getPendingMutations()).toHaveLength(0)
+    expect(container.innerHTML).toBe('<div>before</div>')
+  })
+})
@@ -16,6 +16,7 @@
  *  8. setEventHandler / removeEventHandler
  *  9. 事件委托不会重复初始化
  * 10. stopPropagation 阻止冒泡
+ * 11. 按需委托的事件：冒泡阶段派发、root.unmount 时移除监听器
  *
  * ============================================================
  */
@@ -392,3 +393,54 @@ describe('Phase 7: 事件委托集成测试', () => {
     expect(handler).toHaveBeenCalledOnce()
   })
 })
+
+// ─── 按需委托的事件类型 ──────────────────────────────────────
+
+describe('按需委托的事件类型', () => {
+  it('冒泡的事件应在目标的原生监听器之后派发，stopPropagation 不影响它们', () => {
+    const calls = []
+    const root = createRoot(container)
+    root.render(
+      createElement(
+        'div', { onPointerDown: e => { calls.push('outer'); e.stopPropagation() } },
+        createElement('button', null, 'Press')
+      )
+    )
+    const button = container.querySelector('button')
+    button.addEventListener('pointerdown', () => calls.push('native'))
+
+    button.dispatchEvent(new Event('pointerdown', { bubbles: true }))
+    expect(calls).toEqual(['native', 'outer'])
+  })
+
+  it('不冒泡的事件仍应触发目标元素的 handler', () => {
+    const handler = vi.fn()
+    const root = createRoot(container)
+    root.render(createElement('div', { onMouseEnter: handler }))
+
+    container.firstChild.dispatchEvent(new Event('mouseenter'))
+    expect(handler).toHaveBeenCalledOnce()
+  })
+
+  it('root.unmount 后应移除容器上的监听器，再次 createRoot 时重新初始化', () => {
+    const root = createRoot(container)
+    root.render(createElement('div', { onWheel: () => {} }))
+    root.unmount()
+    expect(container.__eventsInitialized).toBe(false)
+
+    const stale = vi.fn()
+    const button = document.createElement('button')
+    setEventHandler(button, 'click', stale)
+    setEventHandler(button, 'wheel', stale)
+    container.appendChild(button)
+    button.click()
+    button.dispatchEvent(new Event('wheel', { bubbles: true }))
+    expect(stale).not.toHaveBeenCalled()
+    button.remove()
+
+    const onWheel = vi.fn()
+    createRoot(container).render(createElement('div', { onWheel }))
+    container.firstChild.dispatchEvent(new Event('wheel', { bubbles: true }))
+    expect(onWheel).toHaveBeenCalledOnce()
+  })
+})
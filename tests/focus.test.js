@@ -0,0 +1,122 @@
+/**
+ * ============================================================
+ * Focus Tests — 移动节点（MOVE）时保持焦点 / 选区 / 滚动位置
+ * ============================================================
+ *
+ * @vitest-environment jsdom
+ *
+ * 测试覆盖：
+ *  1. 被移动的 <input> 保持焦点与光标位置
+ *  2. contentEditable 中的选区被恢复
+ *  3. 被移动子树中元素的滚动位置被恢复（每次提交只扫描一遍）
+ *  4. 获得焦点的元素被删除时不恢复
+ *
+ * ============================================================
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { createElement } from '../src/mini-react/createElement.js'
+import { createRoot } from '../src/mini-react/root.js'
+
+let container
+let root
+
+beforeEach(() => {
+  container = document.createElement('div')
+  document.body.appendChild(container)
+  root = createRoot(container)
+  return () => {
+    root.unmount()
+    document.body.removeChild(container)
+  }
+})
+
+const renderList = (ids, renderItem) =>
+  root.render(createElement('ul', null, ids.map(id => createElement('li', { key: id, id }, renderItem(id)))))
+
+describe('移动节点时保持交互状态', () => {
+  it('被移动的 input 应保持焦点与光标位置', () => {
+    renderList(['a', 'b', 'c'], id => createElement('input', { defaultValue: `value-${id}` }))
+    const input = container.querySelector('#c input')
+    input.focus()
+    input.setSelectionRange(2, 4)
+
+    renderList(['c', 'a', 'b'], id => createElement('input', { defaultValue: `value-${id}` }))
+
+    expect(container.querySelector('li').id).toBe('c')
+    expect(document.activeElement).toBe(input)
+    expect([input.selectionStart, input.selectionEnd]).toEqual([2, 4])
+  })
+
+  it('contentEditable 中的选区应被恢复', () => {
+    renderList(['a', 'b'], id => createElement('div', { contentEditable: true }, `text-${id}`))
+    const editable = container.querySelector('#b div')
+    const text = editable.firstChild
+    editable.focus()
+    document.getSelection().setBaseAndExtent(text, 1, text, 4)
+
+    renderList(['b', 'a'], id => createElement('div', { contentEditable: true }, `text-${id}`))
+
+    const selection = document.getSelection()
+    expect(document.activeElement).toBe(editable)
+    expect(selection.anchorNode).toBe(text)
+    expect([selection.anchorOffset, selection.focusOffset]).toEqual([1, 4])
+  })
+
+  it('被移动子树中滚动过的元素应恢复滚动位置', () => {
+    renderList(['a', 'b'], id => createElement('div', { className: 'scroller' }, id))
+    const scroller = container.querySelector('#b .scroller')
+
+    // jsdom 没有布局：用一个可写的 scrollTop 模拟，并模拟浏览器「节点被移动后滚动归零」
+    let scrollTop = 120
+    Object.defineProperty(scroller, 'scrollTop', {
+      get: () => scrollTop,
+      set: value => { scrollTop = value },
+    })
+    const list = container.querySelector('ul')
+    const insertBefore = list.insertBefore.bind(list)
+    list.insertBefore = (node, reference) => {
+      if (node.contains(scroller)) scrollTop = 0
+      return insertBefore(node, reference)
+    }
+
+    renderList(['b', 'a'], id => createElement('div', { className: 'scroller' }, id))
+
+    expect(container.querySelector('li').id).toBe('b')
+    expect(scroller.scrollTop).toBe(120)
+  })
+
+  it('一次提交移动多个节点时只扫描一遍滚动位置', () => {
+    const ids = ['a', 'b', 'c', 'd', 'e']
+    renderList(ids, id => createElement('div', { className: 'scroller' }, id))
+    const spy = vi.spyOn(Element.prototype, 'querySelectorAll')
+
+    renderList([...ids].reverse(), id => createElement('div', { className: 'scroller' }, id))
+    const scans = spy.mock.calls.filter(([selector]) => selector === '*')
+    spy.mockRestore()
+
+    expect(Array.from(container.querySelectorAll('li'), li => li.id)).toEqual(['e', 'd', 'c', 'b', 'a'])
+    expect(scans).toHaveLength(1)
+  })
+
+  it('获得焦点的元素被删除时不应恢复焦点', () => {
+    renderList(['a', 'b'], () => createElement('input', {}))
+    container.querySelector('#a input').focus()
+
+    renderList(['b'], () => createElement('input', {}))
+
+    expect(document.activeElement).toBe(document.body)
+  })
+
+  it('焦点不在被移动的节点上时不受影响', () => {
+    const outside = document.createElement('input')
+    document.body.appendChild(outside)
+    renderList(['a', 'b'], id => id)
+    outside.focus()
+
+    renderList(['b', 'a'], id => id)
+
+    expect(document.activeElement).toBe(outside)
+    outside.remove()
+  })
+})
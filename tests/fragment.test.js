@@ -0,0 +1,208 @@
+/**
+ * ============================================================
+ * Fragment Tests — 无包装元素的多节点渲染
+ * ============================================================
+ *
+ * @vitest-environment jsdom
+ *
+ * 测试覆盖：
+ *  1. Fragment 的 VNode 结构
+ *  2. 挂载：多个兄弟 DOM 节点，无包装元素
+ *  3. 更新 / 删除 / 替换
+ *  4. 作为 keyed 列表项参与重排
+ *  5. 作为函数组件的返回值
+ *
+ * ============================================================
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest'
+import { createElement, Fragment } from '../src/mini-react/createElement.js'
+import { createRoot } from '../src/mini-react/root.js'
+import { render } from '../src/mini-react/render.js'
+import { useState } from '../src/mini-react/hooks.js'
+
+// ─── 测试辅助 ────────────────────────────────────────────────
+
+let container
+
+beforeEach(() => {
+  container = document.createElement('div')
+  document.body.appendChild(container)
+  return () => {
+    document.body.removeChild(container)
+  }
+})
+
+function flushMicrotasks() {
+  return new Promise(resolve => setTimeout(resolve, 0))
+}
+
+// ─── 测试用例 ────────────────────────────────────────────────
+
+describe('Fragment', () => {
+  describe('VNode 结构', () => {
+    it('createElement(Fragment) 应返回 type 为 Fragment 的 VNode', () => {
+      const vnode = createElement(Fragment, null, 'a', createElement('b'))
+      expect(vnode.type).toBe(Fragment)
+      expect(vnode.props.children).toHaveLength(2)
+    })
+  })
+
+  describe('挂载', () => {
+    it('应将子节点直接挂到父节点下，不产生包装元素', () => {
+      const root = createRoot(container)
+      root.render(
+        createElement(
+          Fragment,
+          null,
+          createElement('span', null, 'A'),
+          createElement('span', null, 'B')
+        )
+      )
+
+      expect(container.innerHTML).toBe('<span>A</span><span>B</span>')
+    })
+
+    it('嵌套在兄弟节点中间时应保持顺序', () => {
+      const root = createRoot(container)
+      root.render(
+        createElement(
+          'ul',
+          null,
+          createElement('li', null, '1'),
+          createElement(Fragment, null, createElement('li', null, '2'), createElement('li', null, '3')),
+          createElement('li', null, '4')
+        )
+      )
+
+      expect(container.innerHTML).toBe('<ul><li>1</li><li>2</li><li>3</li><li>4</li></ul>')
+    })
+
+    it('Phase 1 的 render 也应支持 Fragment', () => {
+      render(createElement(Fragment, null, createElement('i', null, 'x'), 'y'), container)
+      expect(container.innerHTML).toBe('<i>x</i>y')
+    })
+  })
+
+  describe('更新 / 删除 / 替换', () => {
+    it('更新 Fragment 的子节点应复用已有 DOM', () => {
+      const root = createRoot(container)
+      root.render(createElement(Fragment, null, createElement('p', null, 'old'), 'text'))
+      const p = container.querySelector('p')
+
+      root.render(createElement(Fragment, null, createElement('p', null, 'new'), 'text'))
+
+      expect(container.innerHTML).toBe('<p>new</p>text')
+      expect(container.querySelector('p')).toBe(p)
+    })
+
+    it('删除 Fragment 应移除它的所有 DOM 节点', () => {
+      const root = createRoot(container)
+      root.render(
+        createElement(
+          'div',
+          null,
+          createElement(Fragment, null, createElement('span'), createElement('span')),
+          createElement('p')
+        )
+      )
+
+      root.render(createElement('div', null, createElement('p')))
+      expect(container.innerHTML).toBe('<div><p></p></div>')
+
+      root.unmount()
+      expect(container.childNodes.length).toBe(0)
+    })
+
+    it('Fragment 被普通元素替换时应移除全部旧节点', () => {
+      const root = createRoot(container)
+      root.render(createElement(Fragment, null, createElement('a'), createElement('b'), createElement('i')))
+      root.render(createElement('section', null, 'only'))
+
+      expect(container.innerHTML).toBe('<section>only</section>')
+    })
+
+    it('普通元素被 Fragment 替换时应插入全部新节点', () => {
+      const root = createRoot(container)
+      root.render(createElement('section', null, 'only'))
+      root.render(createElement(Fragment, null, createElement('a'), createElement('b')))
+
+      expect(container.innerHTML).toBe('<a></a><b></b>')
+    })
+  })
+
+  describe('作为 keyed 列表项', () => {
+    it('重排时应整组移动 Fragment 的所有节点', () => {
+      const row = (key) =>
+        createElement(
+          Fragment,
+          { key },
+          createElement('dt', null, key),
+          createElement('dd', null, `${key}-desc`)
+        )
+
+      const root = createRoot(container)
+      root.render(createElement('dl', null, row('a'), row('b'), row('c')))
+      const dtA = container.querySelector('dt')
+
+      root.render(createElement('dl', null, row('c'), row('a'), row('b')))
+
+      const texts = Array.from(container.firstChild.childNodes).map(n => n.textContent)
+      expect(texts).toEqual(['c', 'c-desc', 'a', 'a-desc', 'b', 'b-desc'])
+      // key 相同的 Fragment 应复用 DOM
+      expect(container.querySelectorAll('dt')[1]).toBe(dtA)
+    })
+
+    it('删除一个 keyed Fragment 应只移除它自己的节点', () => {
+      const row = (key) => createElement(Fragment, { key }, createElement('dt', null, key), createElement('dd', null, key))
+
+      const root = createRoot(container)
+      root.render(createElement('dl', null, row('a'), row('b')))
+      root.render(createElement('dl', null, row('b')))
+
+      expect(container.innerHTML).toBe('<dl><dt>b</dt><dd>b</dd></dl>')
+    })
+  })
+
+  describe('作为函数组件的返回值', () => {
+    it('组件返回 Fragment 时应渲染多个兄弟节点', () => {
+      function Columns() {
+        return createElement(Fragment, null, createElement('td', null, 'x'), createElement('td', null, 'y'))
+      }
+
+      const root = createRoot(container)
+      root.render(createElement('tr', null, createElement(Columns)))
+
+      expect(container.innerHTML).toBe('<tr><td>x</td><td>y</td></tr>')
+    })
+
+    it('组件状态更新时 Fragment 子节点应正确更新', async () => {
+      let setCount
+      function Counter() {
+        const [count, _setCount] = useState(0)
+        setCount = _setCount
+        return createElement(Fragment, null, createElement('span', null, `count: ${count}`), createElement('button', null, '+'))
+      }
+
+      const root = createRoot(container)
+      root.render(createElement(Counter))
+
+      setCount(1)
+      await flushMicrotasks()
+
+      expect(container.innerHTML).toBe('<span>count: 1</span><button>+</button>')
+    })
+
+    it('组件卸载时应移除 Fragment 的所有节点', () => {
+      function Pair() {
+        return createElement(Fragment, null, createElement('em'), createElement('strong'))
+      }
+
+      const root = createRoot(container)
+      root.render(createElement('div', null, createElement(Pair)))
+      root.render(createElement('div', null))
+
+      expect(container.innerHTML).toBe('<div></div>')
+    })
+  })
+})
@@ -0,0 +1,170 @@
+/**
+ * ============================================================
+ * JSX Runtime Tests — jsx / jsxs / jsxDEV
+ * ============================================================
+ *
+ * @vitest-environment jsdom
+ *
+ * 测试覆盖：
+ *  1. jsx 与 createElement 产出相同的 VNode
+ *  2. key 从 props 中提取（maybeKey 优先）
+ *  3. 单个子节点 / 数组子节点 / jsxs 静态子节点
+ *  4. Fragment 导出
+ *  5. jsxDEV 记录源码位置，开发警告中附上 "(at 文件:行号)"
+ *
+ * ============================================================
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { createElement, Fragment, TEXT_ELEMENT, MINI_REACT_ELEMENT } from '../src/mini-react/createElement.js'
+import { jsx, jsxs, Fragment as RuntimeFragment } from '../src/mini-react/jsx-runtime.js'
+import { jsxDEV, Fragment as DevFragment } from '../src/mini-react/jsx-dev-runtime.js'
+import { createRoot } from '../src/mini-react/root.js'
+
+let container
+
+beforeEach(() => {
+  container = document.createElement('div')
+  document.body.appendChild(container)
+  return () => {
+    document.body.removeChild(container)
+  }
+})
+
+describe('jsx-runtime', () => {
+  describe('jsx', () => {
+    it('没有子节点时应与 createElement 结果一致', () => {
+      expect(jsx('div', { id: 'app' })).toEqual(createElement('div', { id: 'app' }))
+    })
+
+    it('单个子节点应被放入 props.children 数组', () => {
+      const vnode = jsx('p', { children: 'Hello' })
+      expect(vnode.props.children).toHaveLength(1)
+      expect(vnode.props.children[0]).toEqual({
+        $$typeof: MINI_REACT_ELEMENT,
+        type: TEXT_ELEMENT,
+        key: null,
+        ref: null,
+        props: { nodeValue: 'Hello', children: [] },
+      })
+    })
+
+    it('单个数组子节点应展开为多个子节点', () => {
+      const items = ['a', 'b'].map(text => jsx('li', { children: text }, text))
+      const vnode = jsx('ul', { children: items })
+      expect(vnode.props.children).toHaveLength(2)
+      expect(vnode.props.children[1].type).toBe('li')
+    })
+
+    it('应过滤掉 null / boolean 子节点', () => {
+      const vnode = jsx('div', { children: false })
+      expect(vnode.props.children).toEqual([])
+    })
+  })
+
+  describe('key', () => {
+    it('应使用第三个参数作为 key', () => {
+      const vnode = jsx('li', { children: 'A' }, 'a')
+      expect(vnode.key).toBe('a')
+    })
+
+    it('spread 进 config 的 key 也应被识别', () => {
+      const vnode = jsx('li', { key: 'from-config' })
+      expect(vnode.key).toBe('from-config')
+    })
+
+    it('maybeKey 应优先于 config 中的 key', () => {
+      const vnode = jsx('li', { key: 'config' }, 'explicit')
+      expect(vnode.key).toBe('explicit')
+    })
+  })
+
+  describe('jsxs', () => {
+    it('应把静态 children 数组展开为多个子节点', () => {
+      const vnode = jsxs('div', { children: [jsx('span', {}), 'text'] })
+      expect(vnode.props.children).toHaveLength(2)
+      expect(vnode.props.children[0].type).toBe('span')
+      expect(vnode.props.children[1].type).toBe(TEXT_ELEMENT)
+    })
+
+    it('渲染结果应与经典模式一致', () => {
+      const root = createRoot(container)
+      root.render(
+        jsxs(RuntimeFragment, {
+          children: [jsx('h1', { children: 'Title' }), jsx('p', { className: 'body', children: 'Body' })],
+        })
+      )
+      expect(container.innerHTML).toBe('<h1>Title</h1><p class="body">Body</p>')
+    })
+  })
+
+  describe('Fragment', () => {
+    it('运行时导出的 Fragment 应与 createElement.js 中的一致', () => {
+      expect(RuntimeFragment).toBe(Fragment)
+      expect(DevFragment).toBe(Fragment)
+    })
+  })
+})
+
+describe('jsx-dev-runtime', () => {
+  const source = { fileName: 'App.jsx', lineNumber: 12, columnNumber: 5 }
+
+  it('jsxDEV 应记录源码位置到 vnode.__source', () => {
+    const vnode = jsxDEV('div', { children: 'hi' }, undefined, false, source)
+    expect(vnode.__source).toEqual(source)
+    expect(vnode.props.children[0].props.nodeValue).toBe('hi')
+  })
+
+  it('isStaticChildren 为 true 时应按 jsxs 处理', () => {
+    const vnode = jsxDEV('ul', { children: [jsx('li', {}), jsx('li', {})] }, 'list', true, source)
+    expect(vnode.props.children).toHaveLength(2)
+    expect(vnode.key).toBe('list')
+  })
+
+  it('没有源码位置时不应写入 __source', () => {
+    const vnode = jsxDEV('div', {}, undefined, false)
+    expect('__source' in vnode).toBe(false)
+  })
+
+  it('__source 不应出现在 props 中', () => {
+    const vnode = jsxDEV('div', { id: 'x' }, undefined, false, source)
+    expect(Object.keys(vnode.props)).toEqual(['id', 'children'])
+  })
+
+  it('缺少 key 的警告应附上列表项与组件的源码位置', () => {
+    const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {})
+    const itemSource = { fileName: '/src/components/SourcedList.jsx', lineNumber: 8, columnNumber: 9 }
+    function SourcedList() {
+      return jsxDEV('ul', {
+        children: ['a', 'b'].map(text => jsxDEV('li', { children: text }, undefined, false, itemSource)),
+      }, undefined, false, { fileName: 'SourcedList.jsx', lineNumber: 7, columnNumber: 5 })
+    }
+
+    const root = createRoot(container)
+    root.render(jsxDEV(SourcedList, {}, undefined, false, source))
+
+    const message = errorSpy.mock.calls[0][0]
+    expect(message).toContain('unique "key" prop')
+    expect(message).toContain('(at SourcedList.jsx:8)')
+    expect(message).toContain('in SourcedList (at App.jsx:12)')
+    root.unmount()
+    errorSpy.mockRestore()
+  })
+
+  it('重复 key 的警告应附上重复元素的源码位置', () => {
+    const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {})
+    const root = createRoot(container)
+    root.render(jsxDEV('ul', {
+      children: [
+        jsxDEV('li', {}, 'same', false, { fileName: 'Dup.jsx', lineNumber: 3, columnNumber: 7 }),
+        jsxDEV('li', {}, 'same', false, { fileName: 'Dup.jsx', lineNumber: 4, columnNumber: 7 }),
+      ],
+    }, undefined, true, source))
+
+    const message = errorSpy.mock.calls[0][0]
+    expect(message).toContain('two children with the same key')
+    expect(message).toContain('(at Dup.jsx:4)')
+    root.unmount()
+    errorSpy.mockRestore()
+  })
+})
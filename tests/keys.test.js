@@ -0,0 +1,229 @@
+/**
+ * ============================================================
+ * Key Warnings Tests — 开发模式下的 key 警告
+ * ============================================================
+ *
+ * @vitest-environment jsdom
+ *
+ * 测试覆盖：
+ *  1. 列表（数组 / 可迭代对象）中缺少 key
+ *  2. 兄弟节点 key 重复 —— 警告且 DOM 顺序保持正确
+ *  3. 兄弟节点 key 类型混用
+ *  4. 警告信息附带组件链（in List > in App）
+ *  5. key 只在自己所在的数组中有效：相邻列表的相同 key 互不影响
+ *
+ * ============================================================
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { createElement, cloneElement } from '../src/mini-react/createElement.js'
+import { createRoot } from '../src/mini-react/root.js'
+import { useState } from '../src/mini-react/hooks.js'
+
+let container
+let errorSpy
+
+beforeEach(() => {
+  container = document.createElement('div')
+  document.body.appendChild(container)
+  errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {})
+  return () => {
+    errorSpy.mockRestore()
+    document.body.removeChild(container)
+  }
+})
+
+const messages = () => errorSpy.mock.calls.map(([message]) => message)
+
+// ─── 缺少 key ────────────────────────────────────────────────
+
+describe('列表中缺少 key', () => {
+  it('map 生成的数组缺少 key 时应警告，并指出组件链', () => {
+    function List({ items }) {
+      return createElement('ul', null, items.map(item => createElement('li', null, item)))
+    }
+    function App() {
+      return createElement('main', null, createElement(List, { items: ['a', 'b'] }))
+    }
+
+    createRoot(container).render(createElement(App))
+
+    expect(messages()).toHaveLength(1)
+    expect(messages()[0]).toMatch(/Each child in a list should have a unique "key" prop\. Check the render method of `List`/)
+    expect(messages()[0]).toMatch(/in List > in App$/)
+  })
+
+  it('Set 等可迭代对象中的元素缺少 key 也应警告', () => {
+    createRoot(container).render(createElement('ul', null, new Set([createElement('li'), createElement('li')])))
+    expect(messages()[0]).toMatch(/Check the children of <ul>/)
+  })
+
+  it('静态的多个子节点、带 key 的列表不应警告', () => {
+    createRoot(container).render(
+      createElement(
+        'div',
+        null,
+        createElement('span'),
+        createElement('span'),
+        ['a', 'b'].map(id => createElement('i', { key: id })),
+        ['text only']
+      )
+    )
+    expect(errorSpy).not.toHaveBeenCalled()
+  })
+
+  it('把 props.children 原样传给子元素时不应误报', () => {
+    function Layout({ children }) {
+      return createElement('main', null, children)
+    }
+    createRoot(container).render(createElement(Layout, null, createElement('h1'), 'text', createElement('p')))
+
+    expect(container.innerHTML).toBe('<main><h1></h1>text<p></p></main>')
+    expect(errorSpy).not.toHaveBeenCalled()
+  })
+
+  it('同一处列表重复渲染只警告一次', () => {
+    function Menu() {
+      return createElement('ul', null, [1, 2].map(n => createElement('li', null, n)))
+    }
+    const root = createRoot(container)
+    root.render(createElement(Menu))
+    root.render(createElement(Menu))
+
+    expect(errorSpy).toHaveBeenCalledTimes(1)
+  })
+
+  it('cloneElement 沿用原 children 时不应误报', () => {
+    const original = createElement('p', null, createElement('b'), createElement('i'))
+    cloneElement(original, { id: 'x' })
+    expect(errorSpy).not.toHaveBeenCalled()
+  })
+})
+
+// ─── 重复 key ────────────────────────────────────────────────
+
+describe('兄弟节点 key 重复', () => {
+  const list = ids => createElement('ul', null, ids.map(id => createElement('li', { key: id }, id)))
+
+  it('应警告重复的 key', () => {
+    createRoot(container).render(list(['a', 'a']))
+    expect(messages()[0]).toMatch(/Encountered two children with the same key, `a`/)
+  })
+
+  it('更新时不应丢失节点或打乱 DOM 顺序', () => {
+    const root = createRoot(container)
+    root.render(list(['a', 'b', 'a']))
+    root.render(list(['b', 'a', 'a', 'c']))
+
+    const lis = container.querySelectorAll('li')
+    expect(Array.from(lis).map(li => li.textContent)).toEqual(['b', 'a', 'a', 'c'])
+    expect(container.firstChild.childNodes.length).toBe(4)
+  })
+
+  it('删除重复 key 中的一个时应只删除一个节点', () => {
+    const root = createRoot(container)
+    root.render(list(['a', 'a', 'b']))
+    root.render(list(['a', 'b']))
+
+    expect(Array.from(container.querySelectorAll('li')).map(li => li.textContent)).toEqual(['a', 'b'])
+  })
+
+  it('setState 重渲染时警告仍应包含完整组件链', async () => {
+    let setIds
+    function Rows() {
+      const [ids, _setIds] = useState(['x'])
+      setIds = _setIds
+      return list(ids)
+    }
+    function Table() {
+      return createElement(Rows)
+    }
+
+    createRoot(container).render(createElement(Table))
+    setIds(['x', 'x'])
+    await Promise.resolve()
+
+    expect(messages()).toHaveLength(1)
+    expect(messages()[0]).toMatch(/same key, `x`[\s\S]*in Rows > in Table$/)
+  })
+})
+
+// ─── key 类型混用 ────────────────────────────────────────────
+
+describe('兄弟节点 key 类型混用', () => {
+  it('数字与字符串 key 混用时应警告', () => {
+    function Mixed() {
+      return createElement('ul', null, [createElement('li', { key: 1 }), createElement('li', { key: '2' })])
+    }
+    createRoot(container).render(createElement(Mixed))
+
+    expect(messages()).toHaveLength(1)
+    expect(messages()[0]).toMatch(/Sibling keys mix different types: number \(e\.g\. 1\), string \(e\.g\. "2"\)/)
+    expect(messages()[0]).toMatch(/in Mixed$/)
+  })
+
+  it('1 与 "1" 是不同的 key，不会被当作重复', () => {
+    createRoot(container).render(
+      createElement('ul', null, [createElement('li', { key: 1 }), createElement('li', { key: '1' })])
+    )
+    expect(messages().some(message => message.includes('same key'))).toBe(false)
+    expect(container.querySelectorAll('li')).toHaveLength(2)
+  })
+})
+
+// ─── key 的作用域 ────────────────────────────────────────────
+
+describe('key 只在自己所在的数组中有效', () => {
+  const twoLists = (a, b) => createElement('ul', null,
+    a.map(id => createElement('li', { key: id }, `a-${id}`)),
+    b.map(id => createElement('li', { key: id }, `b-${id}`))
+  )
+
+  it('两个相邻的 map 列表使用相同的 key 时不应警告', () => {
+    const root = createRoot(container)
+    root.render(twoLists([0, 1], [0, 1]))
+    root.render(twoLists([0, 1, 2], [0, 1]))
+
+    expect(messages()).toEqual([])
+    expect(container.textContent).toBe('a-0a-1a-2b-0b-1')
+  })
+
+  it('不同列表中 key 相同的节点不应互相复用', () => {
+    const root = createRoot(container)
+    root.render(twoLists(['x', 'y'], ['x']))
+    const [, ay, bx] = container.querySelectorAll('li')
+
+    root.render(twoLists(['y'], ['x']))
+
+    const lis = Array.from(container.querySelectorAll('li'))
+    expect(lis.map(li => li.textContent)).toEqual(['a-y', 'b-x'])
+    expect(lis[0]).toBe(ay)
+    expect(lis[1]).toBe(bx)
+  })
+
+  it('同一个数组中的重复 key 仍应警告', () => {
+    createRoot(container).render(twoLists(['x', 'x'], ['x']))
+
+    expect(messages()).toHaveLength(1)
+    expect(messages()[0]).toMatch(/same key, `x`/)
+  })
+
+  it('cloneElement 与 props.children 透传应保留 key 的作用域', () => {
+    function Wrapper({ children }) {
+      return createElement('section', null, children)
+    }
+    const root = createRoot(container)
+    root.render(createElement(Wrapper, null, cloneElement(twoLists([0], [0]), { id: 'list' })))
+
+    expect(messages()).toEqual([])
+    expect(container.querySelectorAll('li')).toHaveLength(2)
+  })
+
+  it('cloneElement 通过 props 传入 children 数组时应保留 key 的作用域', () => {
+    const { children } = twoLists([0, 1], [0, 1]).props
+    createRoot(container).render(cloneElement(createElement('ol'), { children }))
+
+    expect(messages()).toEqual([])
+    expect(container.textContent).toBe('a-0a-1b-0b-1')
+  })
+})
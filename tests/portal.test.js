@@ -0,0 +1,232 @@
+/**
+ * ============================================================
+ * Portal Tests — createPortal
+ * ============================================================
+ *
+ * @vitest-environment jsdom
+ *
+ * 测试覆盖：
+ *  1. 子节点渲染到目标容器，不占据父 DOM 中的位置
+ *  2. 更新、删除（包括祖先被删除）、切换容器
+ *  3. Portal 内的组件能读到上方 Provider 的 Context
+ *  4. Portal 内的事件冒泡到组件树中的祖先（包括嵌套到同一个容器的 Portal）
+ *  5. 容器包含 root 容器时事件只派发一次
+ *
+ * ============================================================
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { createElement } from '../src/mini-react/createElement.js'
+import { createRoot } from '../src/mini-react/root.js'
+import { createPortal } from '../src/mini-react/portal.js'
+import { createContext } from '../src/mini-react/context.js'
+import { useState, useEffect, useContext } from '../src/mini-react/hooks.js'
+
+let container
+let target
+let root
+
+beforeEach(() => {
+  container = document.createElement('div')
+  target = document.createElement('div')
+  document.body.appendChild(container)
+  document.body.appendChild(target)
+  root = createRoot(container)
+  return () => {
+    root.unmount()
+    container.remove()
+    target.remove()
+  }
+})
+
+function flushMicrotasks() {
+  return new Promise(resolve => setTimeout(resolve, 10))
+}
+
+// ─── 渲染位置 ────────────────────────────────────────────────
+
+describe('渲染到另一个容器', () => {
+  it('子节点应渲染到目标容器中，父 DOM 中不留痕迹', () => {
+    root.render(
+      createElement('section', null, createElement('h1', null, 'title'), createPortal(createElement('p', null, 'modal'), target))
+    )
+
+    expect(container.innerHTML).toBe('<section><h1>title</h1></section>')
+    expect(target.innerHTML).toBe('<p>modal</p>')
+  })
+
+  it('更新时应原地复用容器中的 DOM', () => {
+    const render = text => root.render(createElement('main', null, createPortal(createElement('p', null, text), target)))
+
+    render('a')
+    const p = target.firstChild
+    render('b')
+
+    expect(target.firstChild).toBe(p)
+    expect(p.textContent).toBe('b')
+  })
+
+  it('Portal 被删除时应从容器中移除它的 DOM', () => {
+    const render = open => root.render(
+      createElement('main', null, open && createPortal(createElement('p', null, 'modal'), target))
+    )
+
+    render(true)
+    render(false)
+    expect(target.innerHTML).toBe('')
+  })
+
+  it('祖先元素被删除时，容器中的 DOM 和组件的 effect 都应被清理', async () => {
+    const cleanup = vi.fn()
+    function Modal() {
+      useEffect(() => cleanup, [])
+      return createPortal(createElement('dialog'), target)
+    }
+
+    root.render(createElement('main', null, createElement('div', null, createElement(Modal))))
+    await flushMicrotasks()
+    root.render(createElement('main', null))
+
+    expect(target.innerHTML).toBe('')
+    expect(cleanup).toHaveBeenCalledOnce()
+  })
+
+  it('切换容器时应把内容移到新的容器中', () => {
+    const other = document.createElement('div')
+    const render = into => root.render(createElement('main', null, createPortal(createElement('p', null, 'x'), into)))
+
+    render(target)
+    render(other)
+
+    expect(target.innerHTML).toBe('')
+    expect(other.innerHTML).toBe('<p>x</p>')
+  })
+
+  it('Portal 前面新增的兄弟节点应插在 Portal 后面的兄弟之前', () => {
+    const render = show => root.render(
+      createElement('ul', null,
+        show && createElement('li', null, 'new'),
+        createPortal(createElement('p'), target),
+        createElement('li', null, 'last')
+      )
+    )
+
+    render(false)
+    render(true)
+    expect(container.firstChild.innerHTML).toBe('<li>new</li><li>last</li>')
+  })
+
+  it('Portal 内组件的 setState 只更新容器中的内容', async () => {
+    let setCount
+    function Counter() {
+      const [count, set] = useState(0)
+      setCount = set
+      return createElement('b', null, count)
+    }
+
+    root.render(createElement('main', null, createPortal(createElement(Counter), target)))
+    setCount(1)
+    await Promise.resolve()
+
+    expect(target.innerHTML).toBe('<b>1</b>')
+    expect(container.innerHTML).toBe('<main></main>')
+  })
+
+  it('容器不是 DOM 元素时应抛出错误', () => {
+    expect(() => createPortal(createElement('p'), null)).toThrow('Target container is not a DOM element.')
+  })
+})
+
+// ─── Context ─────────────────────────────────────────────────
+
+describe('Context', () => {
+  it('Portal 内的组件应读到 Portal 上方 Provider 的值', () => {
+    const ThemeContext = createContext('light')
+    function Label() {
+      return createElement('span', null, useContext(ThemeContext))
+    }
+    function App() {
+      return createElement('div', null, createPortal(createElement(Label), target))
+    }
+
+    root.render(createElement(ThemeContext.Provider, { value: 'dark' }, createElement(App)))
+    expect(target.textContent).toBe('dark')
+  })
+})
+
+// ─── 事件 ────────────────────────────────────────────────────
+
+describe('事件冒泡', () => {
+  it('Portal 内的点击应冒泡到组件树中的祖先', () => {
+    const calls = []
+    root.render(
+      createElement('section', { onClick: () => calls.push('section') },
+        createElement('div', { onClick: () => calls.push('owner') },
+          createPortal(createElement('button', { onClick: () => calls.push('button') }, 'ok'), target)
+        )
+      )
+    )
+
+    target.querySelector('button').click()
+    expect(calls).toEqual(['button', 'owner', 'section'])
+  })
+
+  it('嵌套的 Portal 渲染到同一个容器时，点击应冒泡到最外层的祖先', () => {
+    const calls = []
+    root.render(
+      createElement('section', { onClick: () => calls.push('section') },
+        createPortal(
+          createElement('div', { onClick: () => calls.push('modal') },
+            createPortal(createElement('button', { onClick: () => calls.push('button') }, 'ok'), target)
+          ),
+          target
+        )
+      )
+    )
+
+    target.querySelector('button').click()
+    expect(calls).toEqual(['button', 'modal', 'section'])
+  })
+
+  it('容器中不属于 Portal 的节点上的事件不应冒泡到 Portal 的祖先', () => {
+    const sibling = document.createElement('span')
+    target.appendChild(sibling)
+    const onOwner = vi.fn()
+
+    root.render(createElement('div', { onClick: onOwner }, createPortal(createElement('i'), target)))
+    sibling.click()
+
+    expect(onOwner).not.toHaveBeenCalled()
+  })
+
+  it('容器包含 root 容器时，root 内和 Portal 内的事件都只派发一次', () => {
+    const onRoot = vi.fn()
+    const onPortal = vi.fn()
+    const onOwner = vi.fn()
+    root.render(
+      createElement('div', { onClick: onOwner },
+        createElement('button', { id: 'in-root', onClick: onRoot }),
+        createPortal(createElement('button', { id: 'in-portal', onClick: onPortal }), document.body)
+      )
+    )
+
+    document.getElementById('in-root').click()
+    document.getElementById('in-portal').click()
+
+    expect(onRoot).toHaveBeenCalledOnce()
+    expect(onPortal).toHaveBeenCalledOnce()
+    expect(onOwner).toHaveBeenCalledTimes(2)
+  })
+
+  it('Portal 中的受控 input 应照常触发 onChange 并恢复值', () => {
+    const onChange = vi.fn()
+    root.render(createElement('form', { onChange }, createPortal(createElement('input', { value: 'fixed' }), target)))
+    const input = target.querySelector('input')
+
+    input.value = 'typed'
+    input.dispatchEvent(new Event('input', { bubbles: true }))
+
+    expect(onChange).toHaveBeenCalledOnce()
+    expect(input.value).toBe('fixed')
+  })
+})
@@ -17,10 +17,11 @@
  * @vitest-environment jsdom
  */
 
-import { describe, it, expect, beforeEach } from 'vitest'
-import { createElement } from '../src/mini-react/createElement.js'
-import { reconcile, commitRoot, getPendingMutations } from '../src/mini-react/reconciler.js'
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { createElement, Fragment } from '../src/mini-react/createElement.js'
+import { reconcile, commitRoot, getPendingMutations, getLastCommitMoveCount } from '../src/mini-react/reconciler.js'
 import { createRoot } from '../src/mini-react/root.js'
+import { useState, useEffect } from '../src/mini-react/hooks.js'
 
 // ─── 两阶段模型验证 ──────────────────────────────────────────
 
@@ -385,3 +386,419 @@ describe('createRoot (内部调用 reconcile + commitRoot)', () => {
     expect(container2.textContent).toBe('Root 2')
   })
 })
+
+// ─── 数组 children ───────────────────────────────────────────
+
+describe('数组 children', () => {
+  let container
+
+  beforeEach(() => {
+    container = document.createElement('div')
+  })
+
+  it('map 生成的 keyed 列表应正确挂载与重排', () => {
+    const root = createRoot(container)
+    const list = (items) =>
+      createElement('ul', null, createElement('li', null, 'head'), items.map(item => createElement('li', { key: item }, item)))
+
+    root.render(list(['a', 'b', 'c']))
+    expect(container.textContent).toBe('headabc')
+
+    root.render(list(['c', 'a', 'b']))
+    expect(container.textContent).toBe('headcab')
+  })
+})
+
+// ─── 伪造元素 ────────────────────────────────────────────────
+
+describe('拒绝未带 $$typeof 标记的对象', () => {
+  let container
+
+  beforeEach(() => {
+    container = document.createElement('div')
+  })
+
+  it('形如 VNode 的 JSON 对象不应被渲染', () => {
+    const forged = JSON.parse('{"type":"img","props":{"src":"x","children":[]}}')
+
+    expect(() => reconcile(container, null, forged)).toThrow(/Objects are not valid as a MiniReact child/)
+    expect(container.childNodes.length).toBe(0)
+  })
+
+  it('作为 children 混入时也应被拒绝，错误信息应列出对象的 key', () => {
+    const root = createRoot(container)
+    const forged = { type: 'script', props: { children: [] } }
+
+    expect(() => root.render(createElement('div', null, forged))).toThrow(/object with keys \{type, props\}/)
+    expect(container.querySelector('script')).toBeNull()
+  })
+
+  it('组件返回伪造对象时应被拒绝', () => {
+    const root = createRoot(container)
+    function Evil() {
+      return { type: 'img', props: { src: 'x', children: [] } }
+    }
+
+    expect(() => root.render(createElement(Evil))).toThrow(/not valid as a MiniReact child/)
+  })
+
+  it('把组件函数本身当作 child 时应给出提示', () => {
+    function App() {
+      return createElement('div')
+    }
+    expect(() => reconcile(container, null, App)).toThrow(/Functions are not valid as a MiniReact child/)
+  })
+})
+
+describe('key / ref 不进入 props', () => {
+  let container
+
+  beforeEach(() => {
+    container = document.createElement('div')
+  })
+
+  it('组件收到的 props 中不应包含 key / ref', () => {
+    const spy = vi.spyOn(console, 'error').mockImplementation(() => {})
+    let received
+    function Item(props) {
+      received = props
+      return createElement('li', null, props.label)
+    }
+
+    createRoot(container).render(createElement(Item, { key: 'a', ref: { current: null }, label: 'A' }))
+
+    expect(Object.keys(received)).toEqual(['label', 'children'])
+    expect(received.key).toBeUndefined()
+    expect(received.ref).toBeUndefined()
+    spy.mockRestore()
+  })
+
+  it('key 不应被写到 DOM 上', () => {
+    createRoot(container).render(createElement('li', { key: 'a' }))
+    expect(container.firstChild.key).toBeUndefined()
+    expect(container.firstChild.hasAttribute('key')).toBe(false)
+  })
+})
+
+describe('复用 VNode 对象', () => {
+  let container
+
+  beforeEach(() => {
+    container = document.createElement('div')
+  })
+
+  it('同一个元素对象渲染到两个位置时，应各自拥有独立的 DOM', () => {
+    const icon = createElement('i', { className: 'icon' })
+    const root = createRoot(container)
+
+    root.render(createElement('p', null, icon, icon))
+    const [first, second] = container.querySelectorAll('i')
+    expect(first).not.toBe(second)
+
+    root.render(createElement('p', null, icon))
+    expect(container.querySelectorAll('i')).toHaveLength(1)
+    expect(container.firstChild.firstChild).toBe(first)
+  })
+
+  it('同一个元素对象渲染到两个 root 时互不干扰', () => {
+    const other = document.createElement('div')
+    const vnode = createElement('span', null, 'shared')
+
+    const rootA = createRoot(container)
+    const rootB = createRoot(other)
+    rootA.render(vnode)
+    rootB.render(vnode)
+
+    rootB.unmount()
+    rootA.render(createElement('span', null, 'updated'))
+
+    expect(container.innerHTML).toBe('<span>updated</span>')
+    expect(other.innerHTML).toBe('')
+  })
+
+  it('复用的组件元素应拥有独立的 state', async () => {
+    const setters = []
+    function Counter() {
+      const [count, setCount] = useState(0)
+      setters.push(setCount)
+      return createElement('b', null, count)
+    }
+    const counter = createElement(Counter)
+
+    createRoot(container).render(createElement('div', null, counter, counter))
+    setters[0](5)
+    await Promise.resolve()
+
+    expect(Array.from(container.querySelectorAll('b')).map(b => b.textContent)).toEqual(['5', '0'])
+  })
+
+  it('同一位置重复渲染同一个对象（如 memo 缓存）应原地复用 DOM', () => {
+    const vnode = createElement('ul', null, createElement('li', null, 'a'))
+    const root = createRoot(container)
+
+    root.render(vnode)
+    const ul = container.firstChild
+    root.render(vnode)
+
+    expect(container.firstChild).toBe(ul)
+    expect(container.innerHTML).toBe('<ul><li>a</li></ul>')
+  })
+
+  it('无 key 列表中交换同一批元素对象时 DOM 应正确', () => {
+    const a = createElement('li', null, 'a')
+    const b = createElement('li', null, 'b')
+    const root = createRoot(container)
+
+    root.render(createElement('ul', null, a, b))
+    root.render(createElement('ul', null, b, a))
+    root.render(createElement('ul', null, a, b, a))
+
+    expect(container.firstChild.innerHTML).toBe('<li>a</li><li>b</li><li>a</li>')
+  })
+
+  it('开发模式下 props 与 children 数组应被冻结', () => {
+    const vnode = createElement('div', { id: 'x' }, 'child')
+
+    expect(Object.isFrozen(vnode.props)).toBe(true)
+    expect(Object.isFrozen(vnode.props.children)).toBe(true)
+    expect(() => {
+      vnode.props.id = 'y'
+    }).toThrow(TypeError)
+  })
+})
+
+// ─── 插入位置（锚点） ────────────────────────────────────────
+
+describe('新节点插入到正确的位置', () => {
+  let container
+  let root
+
+  beforeEach(() => {
+    container = document.createElement('div')
+    root = createRoot(container)
+  })
+
+  const html = () => container.firstChild.innerHTML
+
+  it('条件渲染的元素应插在后面的兄弟之前', () => {
+    const render = open => root.render(
+      createElement('div', null, open && createElement('section', null, 'panel'), createElement('footer'))
+    )
+
+    render(false)
+    const footer = container.querySelector('footer')
+    render(true)
+    expect(html()).toBe('<section>panel</section><footer></footer>')
+    expect(container.querySelector('footer')).toBe(footer)
+
+    render(false)
+    expect(html()).toBe('<footer></footer>')
+    expect(container.querySelector('footer')).toBe(footer)
+  })
+
+  it('条件渲染的元素前后切换时，后面的组件不应被重新挂载', async () => {
+    const mounted = vi.fn()
+    function Footer() {
+      useEffect(() => mounted(), [])
+      return createElement('footer', null, 'end')
+    }
+    const render = open => root.render(
+      createElement('div', null,
+        'title',
+        open && createElement('section', null, 'panel'),
+        [createElement('i', null, 'list')],
+        createElement(Footer)
+      )
+    )
+
+    render(false)
+    await Promise.resolve()
+    const footer = container.querySelector('footer')
+    render(true)
+    render(false)
+    render(true)
+    await Promise.resolve()
+
+    expect(html()).toBe('title<section>panel</section><i>list</i><footer>end</footer>')
+    expect(container.querySelector('footer')).toBe(footer)
+    expect(mounted).toHaveBeenCalledOnce()
+  })
+
+  it('组件从 null 切换到元素时，应插回原来的位置', async () => {
+    let setVisible
+    function Toggle() {
+      const [visible, set] = useState(false)
+      setVisible = set
+      return visible ? createElement('b', null, 'on') : null
+    }
+
+    root.render(createElement('p', null, createElement('i'), createElement(Toggle), createElement('u')))
+    setVisible(true)
+    await Promise.resolve()
+
+    expect(html()).toBe('<i></i><b>on</b><u></u>')
+  })
+
+  it('Fragment 在中间增加子节点时，新节点应留在 Fragment 的范围内', () => {
+    const render = items => root.render(
+      createElement('ul', null,
+        createElement('li', null, 'head'),
+        createElement(Fragment, null, ...items.map(item => createElement('li', null, item))),
+        createElement('li', null, 'tail')
+      )
+    )
+
+    render(['a'])
+    render(['a', 'b', 'c'])
+    expect(html()).toBe('<li>head</li><li>a</li><li>b</li><li>c</li><li>tail</li>')
+  })
+
+  it('后面的兄弟也是新增的时，多个新节点应保持顺序', () => {
+    const render = show => root.render(
+      createElement('div', null,
+        createElement('h1'),
+        show && createElement('h2'),
+        show && createElement('h3'),
+        createElement('p')
+      )
+    )
+
+    render(false)
+    render(true)
+    expect(html()).toBe('<h1></h1><h2></h2><h3></h3><p></p>')
+  })
+
+  it('类型变化的替换应留在原位置，即使旧节点是空 Fragment', () => {
+    const render = child => root.render(createElement('div', null, createElement('a'), child, createElement('hr')))
+
+    render(createElement(Fragment, null))
+    render(createElement('span', null, 'x'))
+    expect(html()).toBe('<a></a><span>x</span><hr>')
+
+    render(createElement(Fragment, null, createElement('i'), createElement('b')))
+    expect(html()).toBe('<a></a><i></i><b></b><hr>')
+  })
+
+  it('挂载在新建子树中的组件，之后重渲染时也应插回原位置', async () => {
+    let setVisible
+    function Toggle() {
+      const [visible, set] = useState(false)
+      setVisible = set
+      return visible && createElement('em')
+    }
+
+    root.render(createElement('div', null, createElement('nav', null, createElement(Toggle), createElement('a'))))
+    setVisible(true)
+    await Promise.resolve()
+
+    expect(container.querySelector('nav').innerHTML).toBe('<em></em><a></a>')
+  })
+})
+
+// ─── keyed diff 的移动次数 ───────────────────────────────────
+
+describe('keyed diff 只移动必须移动的节点', () => {
+  let container
+  let root
+
+  beforeEach(() => {
+    container = document.createElement('div')
+    root = createRoot(container)
+  })
+
+  const renderList = keys => root.render(createElement('ul', null, keys.map(key => createElement('li', { key }, key))))
+  const texts = () => Array.from(container.firstChild.childNodes, node => node.textContent)
+
+  it('把 1000 行中的最后一行移到最前面，只移动 1 次', () => {
+    const keys = Array.from({ length: 1000 }, (_, i) => `row-${i}`)
+    renderList(keys)
+    const nodes = Array.from(container.firstChild.childNodes)
+
+    const moved = [keys[999], ...keys.slice(0, 999)]
+    renderList(moved)
+
+    expect(getLastCommitMoveCount()).toBe(1)
+    expect(texts()).toEqual(moved)
+    expect(container.firstChild.firstChild).toBe(nodes[999])
+  })
+
+  it('反转列表时移动 n - 1 次', () => {
+    renderList(['a', 'b', 'c', 'd', 'e'])
+    renderList(['e', 'd', 'c', 'b', 'a'])
+
+    expect(getLastCommitMoveCount()).toBe(4)
+    expect(texts()).toEqual(['e', 'd', 'c', 'b', 'a'])
+  })
+
+  it('只有新增 / 删除、相对顺序不变时不移动', () => {
+    renderList(['a', 'b', 'c'])
+    renderList(['x', 'a', 'c', 'y'])
+
+    expect(getLastCommitMoveCount()).toBe(0)
+    expect(texts()).toEqual(['x', 'a', 'c', 'y'])
+  })
+
+  it('新增节点与被移动的节点相邻时顺序正确', () => {
+    renderList(['a', 'b', 'c'])
+    renderList(['a', 'x', 'c', 'b'])
+
+    expect(getLastCommitMoveCount()).toBe(1)
+    expect(texts()).toEqual(['a', 'x', 'c', 'b'])
+  })
+
+  it('父节点中有不受管理的节点时，受管理的节点顺序仍正确', () => {
+    renderList(['a', 'b', 'c'])
+    const ul = container.firstChild
+    const foreign = document.createElement('hr')
+    ul.insertBefore(foreign, ul.firstChild)
+
+    renderList(['c', 'a', 'b'])
+
+    expect(getLastCommitMoveCount()).toBe(1)
+    expect(Array.from(ul.querySelectorAll('li'), li => li.textContent)).toEqual(['c', 'a', 'b'])
+    expect(foreign.parentNode).toBe(ul)
+  })
+
+  it('Fragment 列表项整组移动，每个 DOM 节点各算一次', () => {
+    const render = keys => root.render(
+      createElement('dl', null, keys.map(key =>
+        createElement(Fragment, { key }, createElement('dt', null, key), createElement('dd', null, key))
+      ))
+    )
+    render(['a', 'b', 'c'])
+    render(['c', 'a', 'b'])
+
+    expect(getLastCommitMoveCount()).toBe(2)
+    expect(container.firstChild.innerHTML).toBe(
+      '<dt>c</dt><dd>c</dd><dt>a</dt><dd>a</dd><dt>b</dt><dd>b</dd>'
+    )
+  })
+
+  it('随机的增删与重排后 DOM 顺序始终与 VNode 一致，并复用已有节点', () => {
+    // 固定种子的伪随机数，保证测试可重复
+    let seed = 42
+    const random = () => {
+      seed = (seed * 1103515245 + 12345) % 2147483648
+      return seed / 2147483648
+    }
+
+    let keys = Array.from({ length: 20 }, (_, i) => i)
+    renderList(keys)
+    for (let round = 0; round < 30; round++) {
+      const before = new Map(Array.from(container.firstChild.childNodes, node => [node.textContent, node]))
+      keys = keys
+        .filter(() => random() > 0.2)
+        .concat(Array.from({ length: 3 }, () => 100 + Math.floor(random() * 1000)))
+        .filter((key, i, all) => all.indexOf(key) === i)
+        .sort(() => random() - 0.5)
+      renderList(keys)
+
+      expect(texts()).toEqual(keys.map(String))
+      keys.forEach((key, i) => {
+        const previous = before.get(String(key))
+        if (previous) expect(container.firstChild.childNodes[i]).toBe(previous)
+      })
+      expect(getLastCommitMoveCount()).toBeLessThan(keys.length)
+    }
+  })
+})
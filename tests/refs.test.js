@@ -0,0 +1,146 @@
+/**
+ * ============================================================
+ * Ref Tests — 原生元素上的对象 ref / 回调 ref
+ * ============================================================
+ *
+ * @vitest-environment jsdom
+ *
+ * 测试覆盖：
+ *  1. 对象 ref：挂载后 ref.current 指向 DOM，删除后清空
+ *  2. 回调 ref：挂载时 ref(dom)，删除时 ref(null)
+ *  3. ref 变化时先解绑旧 ref 再绑定新 ref
+ *  4. 回调 ref 返回的 cleanup
+ *  5. REPLACE / 祖先节点删除时解绑子树中的 ref
+ *  6. useRef + useEffect 读取 DOM
+ *
+ * ============================================================
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { createElement } from '../src/mini-react/createElement.js'
+import { createRoot } from '../src/mini-react/root.js'
+import { useEffect, useRef } from '../src/mini-react/hooks.js'
+
+let container
+let root
+
+beforeEach(() => {
+  container = document.createElement('div')
+  document.body.appendChild(container)
+  root = createRoot(container)
+  return () => {
+    root.unmount()
+    document.body.removeChild(container)
+  }
+})
+
+function flushMicrotasks() {
+  return new Promise(resolve => setTimeout(resolve, 10))
+}
+
+describe('对象 ref', () => {
+  it('挂载后 ref.current 应指向 DOM 节点，删除后清空', () => {
+    const ref = { current: null }
+    root.render(createElement('div', null, createElement('input', { ref })))
+
+    expect(ref.current).toBe(container.querySelector('input'))
+
+    root.render(createElement('div', null))
+    expect(ref.current).toBeNull()
+  })
+
+  it('ref 不应作为 attribute / property 写入 DOM', () => {
+    const ref = { current: null }
+    root.render(createElement('span', { ref }))
+
+    expect(container.firstChild.hasAttribute('ref')).toBe(false)
+    expect('ref' in container.firstChild).toBe(false)
+  })
+
+  it('useRef 的 ref 在 useEffect 中应已指向 DOM', async () => {
+    let focused = null
+    function AutoFocus() {
+      const inputRef = useRef(null)
+      useEffect(() => {
+        inputRef.current.focus()
+        focused = document.activeElement
+      }, [])
+      return createElement('input', { ref: inputRef })
+    }
+
+    root.render(createElement(AutoFocus))
+    await flushMicrotasks()
+    expect(focused).toBe(container.querySelector('input'))
+  })
+})
+
+describe('回调 ref', () => {
+  it('挂载时以 DOM 节点调用，且节点已在文档中', () => {
+    const ref = vi.fn(node => node?.isConnected)
+    root.render(createElement('ul', null, createElement('li', { ref })))
+
+    expect(ref).toHaveBeenCalledWith(container.querySelector('li'))
+    expect(ref).toHaveReturnedWith(true)
+  })
+
+  it('删除时以 null 调用', () => {
+    const ref = vi.fn()
+    root.render(createElement('div', null, createElement('b', { ref })))
+    root.render(createElement('div', null))
+
+    expect(ref.mock.calls).toEqual([[expect.any(HTMLElement)], [null]])
+  })
+
+  it('ref 变化时应先解绑旧 ref 再绑定新 ref', () => {
+    const calls = []
+    const first = node => calls.push(['first', node && node.tagName])
+    const second = node => calls.push(['second', node && node.tagName])
+
+    root.render(createElement('p', { ref: first }))
+    root.render(createElement('p', { ref: second }))
+    root.render(createElement('p', { ref: second }))
+
+    expect(calls).toEqual([
+      ['first', 'P'],
+      ['first', null],
+      ['second', 'P'],
+    ])
+  })
+
+  it('返回 cleanup 时，解绑应调用 cleanup 而不是 ref(null)', () => {
+    const cleanup = vi.fn()
+    const ref = vi.fn(() => cleanup)
+
+    root.render(createElement('div', null, createElement('canvas', { ref })))
+    root.render(createElement('div', null))
+
+    expect(ref).toHaveBeenCalledOnce()
+    expect(cleanup).toHaveBeenCalledOnce()
+  })
+})
+
+describe('替换与删除', () => {
+  it('类型变化（REPLACE）时应解绑旧节点、绑定新节点', () => {
+    const ref = vi.fn()
+    root.render(createElement('div', { ref }))
+    const div = container.firstChild
+
+    root.render(createElement('section', { ref }))
+    expect(ref.mock.calls).toEqual([[div], [null], [container.firstChild]])
+  })
+
+  it('删除祖先节点时应解绑整棵子树中的 ref', () => {
+    const outer = { current: null }
+    const inner = vi.fn()
+    function Panel() {
+      return createElement('div', { ref: outer }, createElement('span', null, createElement('i', { ref: inner })))
+    }
+
+    root.render(createElement('main', null, createElement(Panel)))
+    expect(outer.current).not.toBeNull()
+
+    root.render(createElement('main', null))
+    expect(outer.current).toBeNull()
+    expect(inner).toHaveBeenLastCalledWith(null)
+  })
+})
@@ -0,0 +1,150 @@
+/**
+ * ============================================================
+ * SVG / MathML Tests — 命名空间
+ * ============================================================
+ *
+ * @vitest-environment jsdom
+ *
+ * 测试覆盖：
+ *  1. <svg> 及其后代使用 SVG 命名空间创建
+ *  2. <foreignObject> 内部回到 HTML 命名空间
+ *  3. <math> 使用 MathML 命名空间
+ *  4. SVG 属性：viewBox 原样保留、strokeWidth → stroke-width、xlinkHref → xlink:href
+ *  5. 更新 / 删除 SVG 属性，组件与 Fragment 中的命名空间传递
+ *
+ * ============================================================
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest'
+import { createElement, Fragment } from '../src/mini-react/createElement.js'
+import { createRoot } from '../src/mini-react/root.js'
+import { createDom, SVG_NAMESPACE, HTML_NAMESPACE, MATH_NAMESPACE } from '../src/mini-react/render.js'
+
+const XLINK_NAMESPACE = 'http://www.w3.org/1999/xlink'
+
+let container
+
+beforeEach(() => {
+  container = document.createElement('div')
+  document.body.appendChild(container)
+  return () => {
+    document.body.removeChild(container)
+  }
+})
+
+describe('命名空间', () => {
+  it('<svg> 及其子元素应使用 SVG 命名空间', () => {
+    createRoot(container).render(
+      createElement('svg', { viewBox: '0 0 10 10' }, createElement('g', null, createElement('circle', { r: 5 })))
+    )
+
+    const svg = container.querySelector('svg')
+    expect(svg.namespaceURI).toBe(SVG_NAMESPACE)
+    expect(svg.querySelector('g').namespaceURI).toBe(SVG_NAMESPACE)
+    expect(svg.querySelector('circle').namespaceURI).toBe(SVG_NAMESPACE)
+    expect(svg.querySelector('circle') instanceof SVGElement).toBe(true)
+  })
+
+  it('<foreignObject> 内部应回到 HTML 命名空间', () => {
+    createRoot(container).render(
+      createElement('svg', null, createElement('foreignObject', null, createElement('div', null, createElement('p'))))
+    )
+
+    expect(container.querySelector('foreignObject').namespaceURI).toBe(SVG_NAMESPACE)
+    expect(container.querySelector('div').namespaceURI).toBe(HTML_NAMESPACE)
+    expect(container.querySelector('p').namespaceURI).toBe(HTML_NAMESPACE)
+  })
+
+  it('<math> 及其子元素应使用 MathML 命名空间', () => {
+    createRoot(container).render(createElement('math', null, createElement('mi', null, 'x')))
+
+    expect(container.querySelector('math').namespaceURI).toBe(MATH_NAMESPACE)
+    expect(container.querySelector('mi').namespaceURI).toBe(MATH_NAMESPACE)
+  })
+
+  it('组件和 Fragment 返回的 SVG 子元素也应继承命名空间', () => {
+    function Dots() {
+      return createElement(Fragment, null, createElement('circle', { cx: 1 }), createElement('circle', { cx: 2 }))
+    }
+    createRoot(container).render(createElement('svg', null, createElement(Dots)))
+
+    const circles = container.querySelectorAll('circle')
+    expect(circles).toHaveLength(2)
+    expect(Array.from(circles).every(circle => circle.namespaceURI === SVG_NAMESPACE)).toBe(true)
+  })
+
+  it('更新时新增到 <svg> 下的元素也应使用 SVG 命名空间', () => {
+    const root = createRoot(container)
+    root.render(createElement('svg'))
+    root.render(createElement('svg', null, createElement('rect', { width: 4 })))
+
+    expect(container.querySelector('rect').namespaceURI).toBe(SVG_NAMESPACE)
+  })
+
+  it('类型变化替换出的元素也应使用 SVG 命名空间', () => {
+    const root = createRoot(container)
+    root.render(createElement('svg', null, createElement('rect')))
+    root.render(createElement('svg', null, createElement('path', { d: 'M0 0' })))
+
+    expect(container.querySelector('path').namespaceURI).toBe(SVG_NAMESPACE)
+  })
+
+  it('createDom 默认使用 HTML 命名空间，可显式传入父命名空间', () => {
+    expect(createDom(createElement('div')).namespaceURI).toBe(HTML_NAMESPACE)
+    expect(createDom(createElement('svg')).namespaceURI).toBe(SVG_NAMESPACE)
+    expect(createDom(createElement('path'), SVG_NAMESPACE).namespaceURI).toBe(SVG_NAMESPACE)
+  })
+})
+
+describe('SVG 属性', () => {
+  it('viewBox 应原样设置为 attribute', () => {
+    createRoot(container).render(createElement('svg', { viewBox: '0 0 24 24', preserveAspectRatio: 'none' }))
+
+    const svg = container.querySelector('svg')
+    expect(svg.getAttribute('viewBox')).toBe('0 0 24 24')
+    expect(svg.getAttribute('preserveAspectRatio')).toBe('none')
+  })
+
+  it('camelCase 的展示属性应转为 kebab-case', () => {
+    createRoot(container).render(
+      createElement('svg', null, createElement('path', { strokeWidth: 2, strokeLinecap: 'round', fillOpacity: 0.5 }))
+    )
+
+    const path = container.querySelector('path')
+    expect(path.getAttribute('stroke-width')).toBe('2')
+    expect(path.getAttribute('stroke-linecap')).toBe('round')
+    expect(path.getAttribute('fill-opacity')).toBe('0.5')
+  })
+
+  it('xlinkHref 应使用 xlink 命名空间设置', () => {
+    createRoot(container).render(createElement('svg', null, createElement('use', { xlinkHref: '#icon' })))
+
+    const use = container.querySelector('use')
+    expect(use.getAttributeNS(XLINK_NAMESPACE, 'href')).toBe('#icon')
+    expect(use.getAttribute('xlink:href')).toBe('#icon')
+  })
+
+  it('className 应设置为 class 属性', () => {
+    createRoot(container).render(createElement('svg', { className: 'chart' }))
+    expect(container.querySelector('svg').getAttribute('class')).toBe('chart')
+  })
+
+  it('更新与删除 SVG 属性', () => {
+    const root = createRoot(container)
+    root.render(createElement('svg', null, createElement('circle', { r: 5, strokeWidth: 1, xlinkTitle: 't' })))
+    root.render(createElement('svg', null, createElement('circle', { r: 8 })))
+
+    const circle = container.querySelector('circle')
+    expect(circle.getAttribute('r')).toBe('8')
+    expect(circle.hasAttribute('stroke-width')).toBe(false)
+    expect(circle.hasAttributeNS(XLINK_NAMESPACE, 'title')).toBe(false)
+  })
+
+  it('SVG 元素上的事件处理器仍应通过事件委托工作', () => {
+    let clicked = 0
+    createRoot(container).render(createElement('svg', null, createElement('rect', { onClick: () => clicked++ })))
+
+    container.querySelector('rect').dispatchEvent(new MouseEvent('click', { bubbles: true }))
+    expect(clicked).toBe(1)
+  })
+})
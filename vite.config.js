@@ -1,10 +1,17 @@
+import { fileURLToPath, URL } from "node:url";
 import { defineConfig } from "vite";
 
 export default defineConfig({
-  // Phase 2 会在这里配置自定义 JSX pragma
-  // 现在先用默认配置
+  // 自动 JSX 运行时：JSX 会被转译为从 mini-react/jsx-runtime
+  // （开发模式为 mini-react/jsx-dev-runtime）导入的 jsx / jsxs / jsxDEV 调用，
+  // 业务文件不再需要手动 import MiniReact
   esbuild: {
-    jsxFactory: "MiniReact.createElement",
-    jsxFragment: "MiniReact.Fragment",
+    jsx: "automatic",
+    jsxImportSource: "mini-react",
+  },
+  resolve: {
+    alias: {
+      "mini-react": fileURLToPath(new URL("./src/mini-react", import.meta.url)),
+    },
   },
 });